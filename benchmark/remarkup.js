@@ -0,0 +1,100 @@
+'use strict';
+
+// Measures the time that ReMarkup#reMarkup takes for large fragments.
+//
+// Usage: node benchmark/remarkup.js [sizes...]
+//
+// Set REMARKUP_BASELINE to the path of another remarkup module
+// (e.g. an older release) to compare against it; since older releases
+// compare every element with every other one, the baseline is only run
+// for sizes up to REMARKUP_BASELINE_MAX (default: 50).
+
+const path = require('path');
+const ReMarkup = require('../');
+
+const sizes = process.argv.slice(2).map(Number);
+if (sizes.length === 0) {
+  sizes.push(10, 25, 50, 100, 200, 400);
+}
+
+const Baseline = process.env.REMARKUP_BASELINE ?
+  require(path.resolve(process.env.REMARKUP_BASELINE)) : null;
+const baselineMax = +process.env.REMARKUP_BASELINE_MAX || 50;
+
+// a table with n rows and 4 cells per row
+const table = n => {
+  let html = '<table class="data"><tbody>';
+  for (let i = 0; i < n; ++i) {
+    html += '<tr class="row" data-row="' + i + '">';
+    for (let j = 0; j < 4; ++j) {
+      html += '<td class="cell-' + j + '"><a href="/item/' + i + '/' + j + '">Item ' + i + '.' + j + '</a></td>';
+    }
+    html += '</tr>';
+  }
+  return html + '</tbody></table>';
+};
+
+// a list with n items
+const list = n => {
+  let html = '<ul class="list">';
+  for (let i = 0; i < n; ++i) {
+    html += '<li class="item" data-item="' + i + '"><span class="label">Entry ' + i + '</span> is ' +
+      '<em class="highlight">important</em>!</li>';
+  }
+  return html + '</ul>';
+};
+
+// a translation that keeps the structure
+const translate = (rm, original) => rm.unMarkup(original).replace(/>([^<]+)</g, (m, text) => '>' + text.toUpperCase() + '<');
+
+// a translation that moves elements around: cells are swapped within
+// each row, and every third <em> is moved out of its list item
+const translateMoved = (rm, original) => translate(rm, original)
+  .replace(/(<td>.*?<\/td>)(<td>.*?<\/td>)/g, '$2$1')
+  .replace(/(<li>(?:(?!<\/li>).)*?)(<em>[^<]*<\/em>)(!<\/li>)/g, (m, before, em, after, offset) =>
+    offset % 3 === 0 ? before + after + em : m);
+
+// a translation that moves every third table row into another <tbody>
+const translateMovedRows = (rm, original) => {
+  const translated = translate(rm, original);
+  const rows = translated.match(/<tr>.*?<\/tr>/g) || [];
+
+  return translated.replace(/<tbody>.*<\/tbody>/,
+    '<tbody>' + rows.filter((row, i) => i % 3 !== 0).join('') + '</tbody>' +
+    '<tbody>' + rows.filter((row, i) => i % 3 === 0).join('') + '</tbody>');
+};
+
+const time = fn => {
+  const start = process.hrtime();
+  fn();
+  const diff = process.hrtime(start);
+  return diff[0] * 1e3 + diff[1] / 1e6;
+};
+
+const cases = [
+  ['table', table, translate],
+  ['table (moved)', table, translateMoved],
+  ['table (rows moved to another parent)', table, translateMovedRows],
+  ['list', list, translate],
+  ['list (moved)', list, translateMoved]
+];
+
+const rm = new ReMarkup();
+const baseline = Baseline ? new Baseline() : null;
+
+for (let c of cases) {
+  for (let n of sizes) {
+    const original = c[1](n);
+    const modified = c[2](rm, original);
+    const elements = (original.match(/<[a-z]/g) || []).length;
+
+    let line = c[0] + ', ' + n + ' rows (' + elements + ' elements): ' +
+      time(() => rm.reMarkup(original, modified)).toFixed(1) + ' ms';
+
+    if (baseline && n <= baselineMax) {
+      line += ', baseline: ' + time(() => baseline.reMarkup(original, modified)).toFixed(1) + ' ms';
+    }
+
+    console.log(line);
+  }
+}
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+;(function() {
+'use strict';
+
+const cli = require('../lib/cli');
+
+cli.main(process.argv.slice(2), process, code => {
+  process.exitCode = code;
+});
+
+})();
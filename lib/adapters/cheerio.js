@@ -0,0 +1,169 @@
+;(function() {
+'use strict';
+
+const $ = require('cheerio');
+const htmlparser = require('htmlparser2');
+
+/**
+ * The DOM adapter for cheerio, whose nodes are the objects created by the
+ * <code>htmlparser2</code> DOM handler. This is the default adapter;
+ * see {@link ReMarkup.adapters} for the interface.
+ *
+ * @module remarkup/lib/adapters/cheerio
+ * @private
+ */
+
+const elementTypes = ['tag', 'script', 'style'];
+
+// the prototypes of parsed nodes, which provide properties
+// like tagName and childNodes
+const parsed = htmlparser.parseDOM('<a></a> ', { withDomLvl1: true });
+const elementPrototype = Object.getPrototypeOf(parsed[0]);
+const nodePrototype = Object.getPrototypeOf(parsed[1]);
+
+const parentOf = node => node.parent || node.root || null;
+
+// remove a node from its parent, if it has one
+function detach (node) {
+  const parent = parentOf(node);
+  if (parent) {
+    parent.children.splice(parent.children.indexOf(node), 1);
+  }
+
+  if (node.prev) {
+    node.prev.next = node.next;
+  }
+
+  if (node.next) {
+    node.next.prev = node.prev;
+  }
+
+  node.parent = node.root = node.prev = node.next = null;
+}
+
+// create a detached node
+function createNode (prototype, properties) {
+  return Object.assign(Object.create(prototype),
+    { parent: null, prev: null, next: null }, properties);
+}
+
+// copy a node, and its descendants if deep is set
+function clone (node, deep) {
+  const copy = Object.create(Object.getPrototypeOf(node));
+  Object.keys(node).forEach(key => {
+    if (['children', 'parent', 'root', 'prev', 'next'].indexOf(key) === -1) {
+      copy[key] = node[key];
+    }
+  });
+
+  if (node.attribs) {
+    copy.attribs = Object.assign({}, node.attribs);
+  }
+
+  copy.parent = copy.root = copy.prev = copy.next = null;
+
+  if (node.children) {
+    copy.children = deep ? node.children.map(child => clone(child, true)) : [];
+    copy.children.forEach((child, i) => {
+      if (copy.type === 'root') {
+        child.root = copy;
+      } else {
+        child.parent = copy;
+      }
+
+      child.prev = copy.children[i - 1] || null;
+      child.next = copy.children[i + 1] || null;
+    });
+  }
+
+  return copy;
+}
+
+module.exports = {
+  name: 'cheerio',
+
+  parse: (html, options) => $.load(html, options).root()[0],
+
+  html: (node, options) => $.html(node.type === 'root' ? node.children : node, options),
+
+  isRoot: node => node.type === 'root',
+
+  isElement: node => elementTypes.indexOf(node.type) !== -1,
+
+  isText: node => node.type === 'text',
+
+  tagName: node => node.name,
+
+  rename: (node, name) => {
+    node.name = name;
+    return node;
+  },
+
+  children: node => node.children ? node.children.slice() : [],
+
+  parent: parentOf,
+
+  attributeNames: node => Object.keys(node.attribs || {}),
+
+  getAttribute: (node, name) => node.attribs &&
+    Object.prototype.hasOwnProperty.call(node.attribs, name) ? node.attribs[name] : undefined,
+
+  setAttribute: (node, name, value) => {
+    node.attribs[name] = value;
+  },
+
+  removeAttribute: (node, name) => {
+    delete node.attribs[name];
+  },
+
+  data: node => node.data,
+
+  setData: (node, data) => {
+    node.data = data;
+  },
+
+  text: node => $.text([node]),
+
+  find: (node, selector, options) =>
+    Array.prototype.slice.call($(node, null, null, options).find(selector)),
+
+  matches: (node, selector, options) => $(node, null, null, options).is(selector),
+
+  clone: clone,
+
+  createElement: name => createNode(elementPrototype, {
+    type: name === 'script' || name === 'style' ? name : 'tag',
+    name: name,
+    attribs: {},
+    children: []
+  }),
+
+  createText: data => createNode(nodePrototype, { type: 'text', data: data }),
+
+  createComment: data => createNode(nodePrototype, { type: 'comment', data: data }),
+
+  insertBefore: (parent, node, reference) => {
+    detach(node);
+
+    const index = reference ? parent.children.indexOf(reference) : parent.children.length;
+    parent.children.splice(index, 0, node);
+    node.parent = parent;
+    node.prev = parent.children[index - 1] || null;
+    node.next = parent.children[index + 1] || null;
+    if (node.prev) {
+      node.prev.next = node;
+    }
+
+    if (node.next) {
+      node.next.prev = node;
+    }
+  },
+
+  remove: detach,
+
+  wrap: (node, options) => $(node, null, null, options),
+
+  unwrap: element => element && element[0]
+};
+
+})();
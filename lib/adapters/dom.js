@@ -0,0 +1,328 @@
+;(function() {
+'use strict';
+
+const htmlparser = require('htmlparser2');
+const serializer = require('dom-serializer');
+
+/**
+ * The DOM adapter for the standard DOM API, e.g. in browsers or with jsdom.
+ * See {@link ReMarkup.adapters} for the interface.
+ *
+ * Fragments are parsed with <code>htmlparser2</code>, like by cheerio, so
+ * that both adapters see the same structure, and built from native nodes
+ * in a <code>DocumentFragment</code>. In XML mode, the nodes belong to an
+ * XML document, which keeps the case of tag and attribute names.
+ *
+ * @module remarkup/lib/adapters/dom
+ * @private
+ */
+
+const ELEMENT_NODE = 1, TEXT_NODE = 3, CDATA_SECTION_NODE = 4, PROCESSING_INSTRUCTION_NODE = 7,
+  COMMENT_NODE = 8, DOCUMENT_NODE = 9, DOCUMENT_TYPE_NODE = 10, DOCUMENT_FRAGMENT_NODE = 11;
+
+const htmlNamespace = 'http://www.w3.org/1999/xhtml';
+
+// directives like <!DOCTYPE html> (and CDATA sections, where the document
+// does not support them) are stored as comments with this prefix, since
+// they cannot be part of a fragment otherwise
+const marker = '\u0000remarkup:';
+
+// the original names of attributes which only the HTML parser accepts,
+// and which it lower-cases, like *ngIf
+const originalNames = new WeakMap();
+
+const nameOf = attribute => originalNames.get(attribute) || attribute.name;
+
+// keep the original attribute names in a deep copy of a node
+function copyNames (node, copy) {
+  if (node.attributes) {
+    for (let i = 0; i < node.attributes.length; ++i) {
+      if (originalNames.has(node.attributes[i])) {
+        originalNames.set(copy.attributes[i], originalNames.get(node.attributes[i]));
+      }
+    }
+  }
+
+  for (let i = 0; i < node.childNodes.length; ++i) {
+    copyNames(node.childNodes[i], copy.childNodes[i]);
+  }
+}
+
+/**
+ * Creates a DOM adapter for a document.
+ *
+ * @param {Document} document  The document which creates the nodes,
+ *                             like <code>window.document</code>.
+ *
+ * @return {object}  The adapter.
+ */
+function domAdapter (document) {
+  let xmlDocument = null;
+
+  const ownerDocument = options => {
+    if (!options || !options.xmlMode) {
+      return document;
+    }
+
+    if (!xmlDocument) {
+      xmlDocument = document.implementation.createDocument(null, 'remarkup', null);
+    }
+
+    return xmlDocument;
+  };
+
+  const documentOf = node => node ?
+    (node.nodeType === DOCUMENT_NODE ? node : node.ownerDocument) : document;
+
+  const isHTML = node => node.namespaceURI === htmlNamespace;
+
+  const tagName = node => isHTML(node) ? node.localName : node.nodeName;
+
+  const isRoot = node => node.nodeType === DOCUMENT_FRAGMENT_NODE || node.nodeType === DOCUMENT_NODE;
+
+  const findAttribute = (node, name) => {
+    if (!node.attributes) {
+      return null;
+    }
+
+    for (let i = 0; i < node.attributes.length; ++i) {
+      if (nameOf(node.attributes[i]) === name) {
+        return node.attributes[i];
+      }
+    }
+
+    return null;
+  };
+
+  const setAttribute = (node, name, value) => {
+    const attribute = findAttribute(node, name);
+    if (attribute) {
+      attribute.value = value;
+      return;
+    }
+
+    try {
+      // setAttribute lower-cases the names of attributes of HTML elements
+      if (isHTML(node) && name !== name.toLowerCase() && name.indexOf(':') === -1) {
+        node.setAttributeNS(null, name, value);
+      } else {
+        node.setAttribute(name, value);
+      }
+    } catch (e) {
+      // names like [title] or @click are only accepted by the HTML parser
+      if (!isHTML(node)) {
+        throw e;
+      }
+
+      const template = documentOf(node).createElement('template');
+      template.innerHTML = '<span ' + name + '=""></span>';
+      const span = (template.content || template).firstChild;
+      const parsedAttribute = span && span.attributes[0];
+      if (!parsedAttribute) {
+        throw e;
+      }
+
+      span.removeAttributeNode(parsedAttribute);
+      node.setAttributeNode(parsedAttribute);
+      parsedAttribute.value = value;
+      if (parsedAttribute.name !== name) {
+        originalNames.set(parsedAttribute, name);
+      }
+    }
+  };
+
+  const createMarker = (doc, type, data) => doc.createComment(marker + type + ':' + data);
+
+  // the type and data of a marker comment
+  const parseMarker = node => {
+    const match = node.data.slice(marker.length).match(/^(\w+):([^]*)$/);
+    return { type: match[1], data: match[2] };
+  };
+
+  const isMarker = node => node.nodeType === COMMENT_NODE && node.data.indexOf(marker) === 0;
+
+  // build native nodes from the nodes created by the htmlparser2 DOM handler
+  const build = (doc, node) => {
+    switch (node.type) {
+      case 'text':
+        return doc.createTextNode(node.data);
+      case 'comment':
+        return doc.createComment(node.data);
+      case 'directive':
+        return createMarker(doc, 'directive', node.data);
+      case 'cdata': {
+        const data = node.children.map(child => child.data).join('');
+        return typeof doc.createCDATASection === 'function' ?
+          doc.createCDATASection(data) : createMarker(doc, 'cdata', data);
+      }
+    }
+
+    const element = doc.createElement(node.name);
+    Object.keys(node.attribs).forEach(name => setAttribute(element, name, node.attribs[name]));
+    node.children.forEach(child => element.appendChild(build(doc, child)));
+
+    return element;
+  };
+
+  // convert native nodes into objects like those of the htmlparser2
+  // DOM handler, which dom-serializer writes like cheerio does
+  const convert = (node, parent) => {
+    const result = { parent: parent };
+    const cdata = data => Object.assign(result, {
+      type: 'cdata',
+      children: [{ type: 'text', data: data, parent: result }]
+    });
+
+    switch (node.nodeType) {
+      case TEXT_NODE:
+        return Object.assign(result, { type: 'text', data: node.data });
+      case CDATA_SECTION_NODE:
+        return cdata(node.data);
+      case COMMENT_NODE: {
+        if (!isMarker(node)) {
+          return Object.assign(result, { type: 'comment', data: node.data });
+        }
+
+        const parsedMarker = parseMarker(node);
+        return parsedMarker.type === 'cdata' ? cdata(parsedMarker.data) :
+          Object.assign(result, { type: 'directive', data: parsedMarker.data });
+      }
+      case PROCESSING_INSTRUCTION_NODE:
+        return Object.assign(result, { type: 'directive', data: '?' + node.target + ' ' + node.data + '?' });
+      case DOCUMENT_TYPE_NODE:
+        return Object.assign(result, { type: 'directive', data: '!DOCTYPE ' + node.name });
+    }
+
+    if (node.nodeType === ELEMENT_NODE) {
+      const name = tagName(node);
+      result.type = name === 'script' || name === 'style' ? name : 'tag';
+      result.name = name;
+      result.attribs = {};
+      for (let i = 0; i < node.attributes.length; ++i) {
+        result.attribs[nameOf(node.attributes[i])] = node.attributes[i].value;
+      }
+    } else {
+      result.type = 'root';
+    }
+
+    result.children = Array.prototype.map.call(node.childNodes, child => convert(child, result));
+    return result;
+  };
+
+  return {
+    name: 'dom',
+
+    parse: (html, options) => {
+      options = Object.assign({ decodeEntities: true }, options);
+
+      const doc = ownerDocument(options);
+      const root = doc.createDocumentFragment();
+      htmlparser.parseDOM(html, options).forEach(node => root.appendChild(build(doc, node)));
+
+      return root;
+    },
+
+    html: (node, options) => {
+      const converted = convert(node, null);
+      return serializer(isRoot(node) ? converted.children : converted,
+        Object.assign({ decodeEntities: true }, options));
+    },
+
+    isRoot: isRoot,
+
+    isElement: node => node.nodeType === ELEMENT_NODE,
+
+    isText: node => node.nodeType === TEXT_NODE,
+
+    tagName: tagName,
+
+    rename: (node, name) => {
+      const renamed = node.ownerDocument.createElement(name);
+      for (let i = 0; i < node.attributes.length; ++i) {
+        setAttribute(renamed, nameOf(node.attributes[i]), node.attributes[i].value);
+      }
+
+      while (node.firstChild) {
+        renamed.appendChild(node.firstChild);
+      }
+
+      if (node.parentNode) {
+        node.parentNode.replaceChild(renamed, node);
+      }
+
+      return renamed;
+    },
+
+    children: node => Array.prototype.slice.call(node.childNodes),
+
+    parent: node => node.parentNode || null,
+
+    attributeNames: node => node.attributes ?
+      Array.prototype.map.call(node.attributes, nameOf) : [],
+
+    getAttribute: (node, name) => {
+      const attribute = findAttribute(node, name);
+      return attribute ? attribute.value : undefined;
+    },
+
+    setAttribute: setAttribute,
+
+    removeAttribute: (node, name) => {
+      const attribute = findAttribute(node, name);
+      if (attribute) {
+        node.removeAttributeNode(attribute);
+      }
+    },
+
+    data: node => node.data,
+
+    setData: (node, data) => {
+      node.data = data;
+    },
+
+    text: node => node.nodeType === COMMENT_NODE || node.nodeType === PROCESSING_INSTRUCTION_NODE ?
+      '' : node.textContent,
+
+    find: (node, selector) => Array.prototype.slice.call(node.querySelectorAll(selector)),
+
+    matches: (node, selector) => {
+      const matches = node.matches || node.webkitMatchesSelector || node.msMatchesSelector;
+      return matches.call(node, selector);
+    },
+
+    clone: (node, deep) => {
+      const copy = node.cloneNode(!!deep);
+      if (deep) {
+        copyNames(node, copy);
+      } else if (node.attributes) {
+        copyNames({ attributes: node.attributes, childNodes: [] }, copy);
+      }
+
+      return copy;
+    },
+
+    createElement: (name, context) => documentOf(context).createElement(name),
+
+    createText: (data, context) => documentOf(context).createTextNode(data),
+
+    createComment: (data, context) => documentOf(context).createComment(data),
+
+    insertBefore: (parent, node, reference) => {
+      parent.insertBefore(node, reference || null);
+    },
+
+    remove: node => {
+      if (node.parentNode) {
+        node.parentNode.removeChild(node);
+      }
+    },
+
+    wrap: node => node,
+
+    unwrap: element => element
+  };
+}
+
+module.exports = domAdapter;
+
+})();
@@ -0,0 +1,32 @@
+;(function() {
+'use strict';
+
+const threads = require('worker_threads');
+const batch = require('./batch');
+const ReMarkup = require('../remarkup');
+
+/**
+ * The script of the worker threads started by {@link reMarkupParallel}.
+ * Each message is a single item, which is answered with its result.
+ *
+ * @module remarkup/lib/batch-worker
+ * @private
+ */
+
+const rm = new ReMarkup(threads.workerData.options);
+const cache = new Map();
+
+threads.parentPort.on('message', message => {
+  // originals are mostly grouped, so the cache is simply
+  // emptied when it becomes too large
+  if (!cache.has(message.item.original) && cache.size >= batch.maxCachedOriginals) {
+    cache.clear();
+  }
+
+  const result = batch.reMarkupItem(rm, cache, message.item, message.opt);
+  threads.parentPort.postMessage(result.error ?
+    { index: message.index, error: batch.serializeError(result.error) } :
+    { index: message.index, result: result });
+});
+
+})();
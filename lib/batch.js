@@ -0,0 +1,243 @@
+;(function() {
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const validation = require('./validation');
+
+/**
+ * Re-marking of many fragments at once, in this thread
+ * or spread across worker threads.
+ *
+ * @module remarkup/lib/batch
+ * @private
+ */
+
+// the originals that are kept per worker thread
+const maxCachedOriginals = 100;
+
+/**
+ * The <code>worker_threads</code> module, or <code>null</code> if this
+ * version of Node.js does not provide it.
+ *
+ * @return {object}
+ */
+function workerThreads () {
+  try {
+    return require('worker_threads');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Normalizes the arguments of {@link ReMarkup#reMarkupBatch}
+ * into a list of <code>{ original, modified, lang }</code> items.
+ *
+ * @param {string|object[]} original  An original fragment, or a list of
+ *                                    <code>{ original, modified, lang }</code>
+ *                                    objects.
+ * @param {string[]} [modified]       The modified fragments of a single original.
+ *
+ * @return {object[]}
+ */
+function items (original, modified) {
+  if (Array.isArray(original)) {
+    return original;
+  }
+
+  if (!Array.isArray(modified)) {
+    throw new TypeError('Expected a list of modified fragments');
+  }
+
+  return modified.map(m => ({ original: original, modified: m }));
+}
+
+/**
+ * Re-marks a single item, loading its original only if it is not cached yet.
+ *
+ * @param {ReMarkup} rm    The instance.
+ * @param {Map} cache      Loaded originals by their source.
+ * @param {object} item    A <code>{ original, modified, lang }</code> object.
+ * @param {object} [opt]   Options for {@link ReMarkup#reMarkup}.
+ *
+ * @return {object}  A <code>{ html, report }</code> or
+ *                   <code>{ error }</code> result.
+ */
+function reMarkupItem (rm, cache, item, opt) {
+  try {
+    if (!cache.has(item.original)) {
+      cache.set(item.original, rm.loadOriginal(item.original));
+    }
+
+    const itemOpt = item.lang ? Object.assign({}, opt, { lang: item.lang }) : opt;
+    const result = rm.reMarkupLoaded(cache.get(item.original), item.modified, itemOpt);
+
+    return itemOpt && itemOpt.report ? result : { html: result };
+  } catch (e) {
+    return { error: e };
+  }
+}
+
+/**
+ * Re-marks all items in this thread.
+ *
+ * @param {ReMarkup} rm      The instance.
+ * @param {object[]} list    See {@link items}.
+ * @param {object} [opt]     Options for {@link ReMarkup#reMarkup}.
+ *
+ * @return {object[]}  The results, in the order of the items.
+ */
+function reMarkupAll (rm, list, opt) {
+  const cache = new Map();
+  return list.map(item => reMarkupItem(rm, cache, item, opt));
+}
+
+// errors are sent from worker threads as plain objects
+function serializeError (error) {
+  return {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    violations: error.violations
+  };
+}
+
+function deserializeError (data) {
+  const error = data.name === 'ValidationError' ?
+    new validation.ValidationError(data.violations) : new Error(data.message);
+
+  error.name = data.name;
+  error.message = data.message;
+  error.stack = data.stack;
+  return error;
+}
+
+/**
+ * Re-marks all items in a pool of worker threads, each of which
+ * creates its own instance with the given constructor options
+ * and caches the originals it has loaded. Without worker threads,
+ * the items are re-marked in this thread.
+ *
+ * @param {ReMarkup} rm         The instance, which is used in this thread.
+ * @param {object[]} list       See {@link items}.
+ * @param {object} opt          Options for {@link ReMarkup#reMarkup}.
+ * @param {number} [opt.workers]  The size of the pool.
+ * @param {object} [opt.options]  The constructor options for the workers.
+ * @param {function} callback   Called with an error (if the pool cannot
+ *                              be started) and the results.
+ */
+function reMarkupParallel (rm, list, opt, callback) {
+  const threads = workerThreads();
+  const size = Math.min(list.length,
+    typeof opt.workers === 'number' ? opt.workers : os.cpus().length);
+
+  const itemOpt = Object.assign({}, opt);
+  delete itemOpt.workers;
+  delete itemOpt.options;
+
+  if (!threads || size < 1) {
+    // the callback is always called asynchronously
+    const results = reMarkupAll(rm, list, itemOpt);
+    return process.nextTick(() => callback(null, results));
+  }
+
+  const results = new Array(list.length);
+  const workers = [];
+  let next = 0, pending = list.length, failed = false;
+
+  const finish = error => {
+    workers.forEach(worker => worker.terminate());
+    callback(error, error ? undefined : results);
+  };
+
+  const done = (index, result) => {
+    results[index] = result;
+    if (--pending === 0) {
+      finish(null);
+    }
+  };
+
+  // send the next item to a worker, if there is one
+  const dispatch = worker => {
+    if (next >= list.length) {
+      return;
+    }
+
+    const index = next++;
+    const item = list[index];
+    worker.current = index;
+    worker.postMessage({
+      index: index,
+      item: { original: item.original, modified: item.modified, lang: item.lang },
+      opt: itemOpt
+    });
+  };
+
+  const start = () => {
+    const worker = new threads.Worker(module.exports.workerScript, {
+      workerData: { options: opt.options || rm.options }
+    });
+
+    worker.on('message', message => {
+      worker.current = null;
+      done(message.index, message.error ?
+        { error: deserializeError(message.error) } : message.result);
+      dispatch(worker);
+    });
+
+    // a crashed worker fails its current item and is replaced
+    const lost = error => {
+      if (failed || pending === 0 || workers.indexOf(worker) === -1) {
+        return;
+      }
+
+      workers.splice(workers.indexOf(worker), 1);
+      const current = worker.current;
+      worker.current = null;
+
+      if (typeof current === 'number') {
+        done(current, { error: error });
+      }
+
+      if (pending > 0 && next < list.length) {
+        dispatch(start());
+      }
+    };
+
+    worker.on('error', lost);
+
+    // workers may also exit without an error event, e.g. when they
+    // call process.exit() or are killed by the operating system
+    worker.on('exit', code => {
+      lost(new Error('Worker thread exited with code ' + code + ' before re-marking the fragment'));
+    });
+
+    workers.push(worker);
+    return worker;
+  };
+
+  try {
+    for (let i = 0; i < size; ++i) {
+      dispatch(start());
+    }
+  } catch (e) {
+    // e.g. options that cannot be cloned into a worker thread
+    failed = true;
+    process.nextTick(() => finish(e));
+  }
+}
+
+module.exports = {
+  // the script of the worker threads, see batch-worker.js
+  workerScript: path.join(__dirname, 'batch-worker.js'),
+  maxCachedOriginals: maxCachedOriginals,
+  workerThreads: workerThreads,
+  items: items,
+  reMarkupItem: reMarkupItem,
+  reMarkupAll: reMarkupAll,
+  serializeError: serializeError,
+  reMarkupParallel: reMarkupParallel
+};
+
+})();
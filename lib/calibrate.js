@@ -0,0 +1,129 @@
+;(function() {
+'use strict';
+
+const dom = require('./dom');
+
+/**
+ * Calibration of the element metric weights on a corpus of translations.
+ *
+ * @module remarkup/lib/calibrate
+ * @private
+ */
+
+// whether two elements have the same tag name and attributes
+function sameElement (adapter, e1, e2) {
+  const names1 = adapter.attributeNames(e1).sort();
+  const names2 = adapter.attributeNames(e2).sort();
+
+  return adapter.tagName(e1) === adapter.tagName(e2) &&
+    names1.length === names2.length &&
+    names1.every((name, i) => name === names2[i] &&
+      adapter.getAttribute(e1, name) === adapter.getAttribute(e2, name));
+}
+
+/**
+ * Re-marks every translation of a corpus and counts the elements of the
+ * results that match the expected elements at the same position
+ * in document order.
+ *
+ * @param {ReMarkup} rm      The instance used for re-marking.
+ * @param {object[]} corpus  A list of <code>{ original, translated, expected }</code>
+ *                           objects.
+ *
+ * @return {object}  An object <code>{ accuracy, correct, total }</code>.
+ */
+function evaluate (rm, corpus) {
+  const elements = html => dom.elements(rm.adapter, rm.load(html), rm.parserOptions);
+  let correct = 0, total = 0;
+
+  for (let entry of corpus) {
+    const expected = elements(entry.expected);
+    total += expected.length;
+
+    let result;
+    try {
+      result = elements(rm.reMarkup(entry.original, entry.translated));
+    } catch (e) {
+      // failures count as entirely wrong results
+      continue;
+    }
+
+    for (let i = 0; i < Math.min(result.length, expected.length); ++i) {
+      if (sameElement(rm.adapter, result[i], expected[i])) {
+        ++correct;
+      }
+    }
+  }
+
+  return { accuracy: total > 0 ? correct / total : 1, correct: correct, total: total };
+}
+
+// the values tried for a weight
+function candidates (value) {
+  if (value === 0) {
+    return [0.5, 1, 2];
+  }
+
+  return [0, value / 4, value / 2, value * 2, value * 4];
+}
+
+/**
+ * Searches for the weights that re-mark a corpus most accurately,
+ * by coordinate descent over the single weights.
+ *
+ * @param {function} ReMarkup  The {@link ReMarkup} class.
+ * @param {object[]} corpus    See {@link evaluate}.
+ * @param {object} [opt]       See {@link ReMarkup.calibrate}.
+ *
+ * @return {object}  See {@link ReMarkup.calibrate}.
+ */
+function calibrate (ReMarkup, corpus, opt) {
+  opt = opt || {};
+
+  const options = opt.options || {};
+  const rounds = opt.rounds || 3;
+  const run = weights => evaluate(new ReMarkup(Object.assign({}, options, { weights: weights })), corpus);
+
+  let weights = new ReMarkup(options).weights;
+  let best = run(weights);
+  const initialAccuracy = best.accuracy;
+
+  for (let round = 0; round < rounds && best.accuracy < 1; ++round) {
+    let improved = false;
+
+    for (let name of Object.keys(weights)) {
+      for (let value of candidates(weights[name])) {
+        const candidate = Object.assign({}, weights);
+        candidate[name] = value;
+
+        // only strict improvements are kept, so that ties
+        // favor the initial weights
+        const result = run(candidate);
+        if (result.accuracy > best.accuracy) {
+          weights = candidate;
+          best = result;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) {
+      break;
+    }
+  }
+
+  return {
+    weights: weights,
+    accuracy: best.accuracy,
+    correct: best.correct,
+    total: best.total,
+    initialAccuracy: initialAccuracy
+  };
+}
+
+module.exports = {
+  evaluate: evaluate,
+  calibrate: calibrate
+};
+
+})();
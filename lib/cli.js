@@ -0,0 +1,343 @@
+;(function() {
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The <code>remarkup</code> command line tool.
+ *
+ * @module remarkup/lib/cli
+ * @private
+ */
+
+const usage = [
+  'Usage: remarkup un [options] [input [output]]',
+  '       remarkup re [options] original [translated [output]]',
+  '       remarkup calibrate [options] corpus',
+  '',
+  'Reads from stdin and writes to stdout when input or output are omitted',
+  'or "-". Directories are processed recursively, mirroring their files',
+  'into the output directory.',
+  '',
+  'calibrate searches for the metric weights that re-mark a corpus most',
+  'accurately. The corpus is a JSON file with a list of',
+  '{ "original", "translated", "expected" } objects.',
+  '',
+  'Options:',
+  '  -c, --config <file>    A JSON configuration file',
+  '  -t, --threshold <n>    Exit with code 2 if the match confidence of a',
+  '                         re-marked file is below n (between 0 and 1)',
+  '  -h, --help             Show this help',
+  ''
+].join('\n');
+
+// exit codes
+const OK = 0, FAILED = 1, LOW_CONFIDENCE = 2;
+
+// the options that are passed to the ReMarkup constructor as-is
+const passedOptions = [
+  'preset', 'format', 'xml', 'strict', 'droppedElements', 'surplusElements',
+  'nonexistentChildDistance', 'weights', 'parserOptions', 'preserveFormatting'
+];
+
+/**
+ * Converts a string like <code>"/^data-/i"</code> into a regex;
+ * other strings are returned unchanged.
+ *
+ * @param {string} string  The attribute name or pattern.
+ *
+ * @return {string|RegExp}
+ */
+function parsePattern (string) {
+  const match = String(string).match(/^\/(.*)\/([gimuy]*)$/);
+  return match ? new RegExp(match[1], match[2]) : string;
+}
+
+/**
+ * Converts an attribute list entry of a configuration, which is either
+ * a string for {@link parsePattern} or a
+ * <code>{ selector, attributes, exclude }</code> rule.
+ *
+ * @param {string|object} entry  The list entry.
+ *
+ * @return {string|RegExp|object}
+ */
+function parseAttribute (entry) {
+  if (entry === null || typeof entry !== 'object') {
+    return parsePattern(entry);
+  }
+
+  return Object.assign({}, entry, { attributes: (entry.attributes || []).map(parseAttribute) });
+}
+
+/**
+ * Converts a JSON configuration into options for the
+ * {@link ReMarkup} constructor.
+ *
+ * @param {function} ReMarkup  The {@link ReMarkup} class.
+ * @param {object} config
+ * @param {Array} [config.keepAttributes]    Additional attributes kept by
+ *                                            <code>un</code>, as names,
+ *                                            <code>"/regex/"</code> strings or
+ *                                            <code>{ selector, attributes,
+ *                                            exclude }</code> rules.
+ * @param {boolean} [config.stripSpaces]      Use {@link ReMarkup.stripSpaces}.
+ * @param {object[]} [config.mergeRules]      Merge rules with strategy names.
+ *
+ * @return {object}
+ */
+function optionsFromConfig (ReMarkup, config) {
+  const opt = {};
+
+  for (let name of passedOptions) {
+    if (typeof config[name] !== 'undefined') {
+      opt[name] = config[name];
+    }
+  }
+
+  if (config.keepAttributes) {
+    opt.additionalKeepAttributes = config.keepAttributes.map(parseAttribute);
+  }
+
+  if (config.stripSpaces) {
+    opt.additionalElementFilters = [ReMarkup.stripSpaces];
+  }
+
+  if (config.mergeRules) {
+    opt.mergeRules = config.mergeRules.map(rule => Object.assign({}, rule, {
+      attributes: (rule.attributes || []).map(parseAttribute)
+    }));
+  }
+
+  return opt;
+}
+
+// split the command line into the subcommand, options and positional arguments
+function parseArgs (argv) {
+  const args = { command: null, config: null, threshold: null, help: false, paths: [] };
+
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i];
+
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '-c' || arg === '--config') {
+      args.config = argv[++i];
+    } else if (arg === '-t' || arg === '--threshold') {
+      args.threshold = parseFloat(argv[++i]);
+    } else if (arg.length > 1 && arg[0] === '-') {
+      throw new Error('Unknown option: ' + arg);
+    } else if (args.command === null) {
+      args.command = arg;
+    } else {
+      args.paths.push(arg);
+    }
+  }
+
+  if (args.threshold !== null && isNaN(args.threshold)) {
+    throw new Error('The threshold must be a number');
+  }
+
+  return args;
+}
+
+const isStdio = p => typeof p === 'undefined' || p === '-';
+
+const isDirectory = p => !isStdio(p) && fs.existsSync(p) && fs.statSync(p).isDirectory();
+
+// list the HTML files in a directory tree, relative to its root
+function listFiles (root, extensions, dir) {
+  dir = dir || '';
+
+  return fs.readdirSync(path.join(root, dir)).sort().reduce((files, name) => {
+    const relative = path.join(dir, name);
+
+    if (fs.statSync(path.join(root, relative)).isDirectory()) {
+      return files.concat(listFiles(root, extensions, relative));
+    }
+
+    return extensions.indexOf(path.extname(name).toLowerCase()) !== -1 ?
+      files.concat([relative]) : files;
+  }, []);
+}
+
+// create a directory and its parents
+function mkdirp (dir) {
+  if (!fs.existsSync(dir)) {
+    mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+}
+
+// calibrate the metric weights on a corpus and print the results
+function calibrate (ReMarkup, options, corpusFile, io, callback) {
+  let result;
+  try {
+    if (isStdio(corpusFile)) {
+      throw new Error('The corpus must be a file');
+    }
+
+    const corpus = JSON.parse(fs.readFileSync(corpusFile, 'utf8'));
+    result = ReMarkup.calibrate(corpus, { options: options });
+  } catch (e) {
+    io.stderr.write('remarkup: ' + e.message + '\n');
+    return callback(FAILED);
+  }
+
+  const percent = accuracy => (accuracy * 100).toFixed(1) + '%';
+  io.stdout.write('Accuracy: ' + percent(result.accuracy) +
+    ' (' + result.correct + '/' + result.total + ' elements), ' +
+    percent(result.initialAccuracy) + ' with the initial weights\n' +
+    JSON.stringify({ weights: result.weights }, null, 2) + '\n');
+
+  callback(OK);
+}
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {string[]} argv     The command line arguments.
+ * @param {object} io         <code>{ stdin, stdout, stderr }</code> streams.
+ * @param {function} callback Called with the exit code.
+ */
+function main (argv, io, callback) {
+  const ReMarkup = require('../');
+  let args, config, rm, threshold;
+
+  try {
+    args = parseArgs(argv);
+
+    if (args.help) {
+      io.stdout.write(usage);
+      return callback(OK);
+    }
+
+    if (['un', 're', 'calibrate'].indexOf(args.command) === -1) {
+      throw new Error(args.command === null ? 'Missing subcommand' :
+        'Unknown subcommand: ' + args.command);
+    }
+
+    config = args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {};
+    rm = new ReMarkup(optionsFromConfig(ReMarkup, config));
+
+    threshold = args.threshold !== null ? args.threshold :
+      typeof config.threshold === 'number' ? config.threshold : null;
+    args.extensions = config.extensions || ['.html', '.htm'];
+  } catch (e) {
+    io.stderr.write('remarkup: ' + e.message + '\n\n' + usage);
+    return callback(FAILED);
+  }
+
+  if (args.command === 'calibrate') {
+    return calibrate(ReMarkup, optionsFromConfig(ReMarkup, config), args.paths[0], io, callback);
+  }
+
+  let exitCode = OK;
+  const fail = (name, message, code) => {
+    io.stderr.write('remarkup: ' + (name ? name + ': ' : '') + message + '\n');
+    exitCode = Math.max(exitCode, code);
+  };
+
+  // convert a single fragment, or return null on failure
+  const convert = (name, input, original) => {
+    try {
+      if (args.command === 'un') {
+        return rm.unMarkup(input);
+      }
+
+      const result = rm.reMarkup(original, input, { report: true });
+      if (threshold !== null && result.report.confidence < threshold) {
+        fail(name, 'match confidence ' + result.report.confidence.toFixed(2) +
+          ' is below the threshold of ' + threshold, LOW_CONFIDENCE);
+      }
+
+      return result.html;
+    } catch (e) {
+      fail(name, e.message, FAILED);
+      return null;
+    }
+  };
+
+  // the positional arguments: [original,] input, output
+  const paths = args.paths.slice();
+  const original = args.command === 're' ? paths.shift() : null;
+  const input = paths[0], output = paths[1];
+
+  if (args.command === 're' && isStdio(original)) {
+    io.stderr.write('remarkup: The original must be a file or directory\n\n' + usage);
+    return callback(FAILED);
+  }
+
+  const treeRoot = args.command === 're' ? original : input;
+  if (isDirectory(treeRoot)) {
+    if (isStdio(output) || (args.command === 're' && !isDirectory(input))) {
+      io.stderr.write('remarkup: Directory trees need an input and an output directory\n');
+      return callback(FAILED);
+    }
+
+    for (let file of listFiles(treeRoot, args.extensions)) {
+      let result;
+      try {
+        result = convert(file, fs.readFileSync(path.join(input, file), 'utf8'),
+          original && fs.readFileSync(path.join(original, file), 'utf8'));
+      } catch (e) {
+        fail(file, e.message, FAILED);
+        continue;
+      }
+
+      if (result !== null) {
+        mkdirp(path.dirname(path.join(output, file)));
+        fs.writeFileSync(path.join(output, file), result);
+      }
+    }
+
+    return callback(exitCode);
+  }
+
+  const finish = source => {
+    let originalSource = null;
+    try {
+      originalSource = original && fs.readFileSync(original, 'utf8');
+    } catch (e) {
+      fail(original, e.message, FAILED);
+      return callback(exitCode);
+    }
+
+    const result = convert(isStdio(input) ? null : input, source, originalSource);
+    if (result !== null) {
+      if (isStdio(output)) {
+        io.stdout.write(result);
+      } else {
+        fs.writeFileSync(output, result);
+      }
+    }
+
+    callback(exitCode);
+  };
+
+  if (!isStdio(input)) {
+    let source;
+    try {
+      source = fs.readFileSync(input, 'utf8');
+    } catch (e) {
+      fail(input, e.message, FAILED);
+      return callback(exitCode);
+    }
+
+    return finish(source);
+  }
+
+  const chunks = [];
+  io.stdin.on('data', chunk => chunks.push(chunk));
+  io.stdin.on('end', () => finish(Buffer.concat(chunks).toString('utf8')));
+}
+
+module.exports = {
+  parsePattern: parsePattern,
+  parseAttribute: parseAttribute,
+  optionsFromConfig: optionsFromConfig,
+  main: main
+};
+
+})();
@@ -0,0 +1,96 @@
+;(function() {
+'use strict';
+
+/**
+ * Comparison of text contents by signals that survive translation.
+ *
+ * @module remarkup/lib/content
+ * @private
+ */
+
+// patterns for content that is usually copied verbatim by translators
+const signalPatterns = {
+  url: /\b(?:https?|ftp):\/\/[^\s<>"']+|\bwww\.[^\s<>"']+/gi,
+  email: /[^\s@<>"'()]+@[^\s@<>"'()]+\.[a-z]{2,}/gi,
+  placeholder: /\{\{[^}]*\}\}|\$\{[^}]*\}|\{[\w.]+\}|%(?:\(\w+\)|\d+\$)?[sdif@]/g,
+  number: /\d+(?:[.,  ]\d{3})*(?:[.,]\d+)?/g
+};
+
+/**
+ * Extracts URLs, email addresses, interpolation placeholders and
+ * numbers from a text. Matches of earlier patterns are removed
+ * before the later ones are applied, so that e.g. numbers in URLs
+ * are not counted separately.
+ *
+ * @param {string} text  The input text.
+ *
+ * @return {string[]}  A list of signals, prefixed with their type.
+ */
+function signals (text) {
+  const result = [];
+
+  Object.keys(signalPatterns).forEach(type => {
+    text = text.replace(signalPatterns[type], match => {
+      // numbers are compared without their (locale-specific) separators
+      result.push(type + ':' + (type === 'number' ? match.replace(/\D/g, '') : match));
+      return ' ';
+    });
+  });
+
+  return result;
+}
+
+// split a text into words
+function words (text) {
+  return text.split(/[\s.,;:!?()[\]{}"'«»„“”‚‘’–—/]+/).filter(word => word.length > 0);
+}
+
+// words that are likely to be left untranslated, e.g. brand names:
+// capitalized words that do not start a sentence, and words
+// with uppercase letters or digits after their first character
+function distinctiveWords (text) {
+  return words(text.replace(/(^|[.!?]\s+)\S+/g, '$1'))
+    .filter(word => word.length >= 3 && /^\D/.test(word) && /^[A-Z]|.[A-Z0-9]/.test(word));
+}
+
+/**
+ * Computes a distance between an original and a translated text.
+ *
+ * @param {string} text1  The original text.
+ * @param {string} text2  The translated text.
+ *
+ * @return {number}  A non-negative distance.
+ */
+function contentDistance (text1, text2) {
+  let distance = 0;
+
+  // the share of differing signals
+  const signals1 = signals(text1), signals2 = signals(text2);
+  const all = signals1.concat(signals2.filter(s => signals1.indexOf(s) === -1));
+  if (all.length > 0) {
+    const shared = signals1.filter(s => signals2.indexOf(s) !== -1).length;
+    distance += 6 * (all.length - shared) / all.length;
+  }
+
+  // the share of distinctive words of the original that are missing
+  const distinctive = distinctiveWords(text1);
+  if (distinctive.length > 0) {
+    const words2 = words(text2);
+    const missing = distinctive.filter(word => words2.indexOf(word) === -1).length;
+    distance += 4 * missing / distinctive.length;
+  }
+
+  // the ratio of the text lengths
+  const length1 = text1.trim().length, length2 = text2.trim().length;
+  distance += 2 * Math.abs(Math.log((length1 + 1) / (length2 + 1)));
+
+  return distance;
+}
+
+module.exports = {
+  signalPatterns: signalPatterns,
+  signals: signals,
+  contentDistance: contentDistance
+};
+
+})();
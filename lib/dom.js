@@ -0,0 +1,334 @@
+;(function() {
+'use strict';
+
+const htmlparser = require('htmlparser2');
+
+/**
+ * Internally used helpers for inspecting and serializing DOM nodes
+ * through a DOM adapter (see {@link ReMarkup.adapters}).
+ *
+ * @module remarkup/lib/dom
+ * @private
+ */
+
+// elements that have no closing tag in HTML
+const voidElements = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+];
+
+// well-known namespaces, by their conventional prefixes
+const namespaces = {
+  xml: 'http://www.w3.org/XML/1998/namespace',
+  xmlns: 'http://www.w3.org/2000/xmlns/',
+  xlink: 'http://www.w3.org/1999/xlink',
+  xhtml: 'http://www.w3.org/1999/xhtml',
+  svg: 'http://www.w3.org/2000/svg',
+  math: 'http://www.w3.org/1998/Math/MathML'
+};
+
+/**
+ * All elements below a node, in document order.
+ *
+ * @param {object} adapter  The DOM adapter.
+ * @param {DOMNode} node    The document root or an element.
+ * @param {object} options  The parser options of the document.
+ *
+ * @return {DOMNode[]}
+ */
+function elements (adapter, node, options) {
+  return adapter.find(node, '*', options);
+}
+
+/**
+ * The child elements of a node.
+ *
+ * @param {object} adapter  The DOM adapter.
+ * @param {DOMNode} node    The document root or an element.
+ *
+ * @return {DOMNode[]}
+ */
+function childElements (adapter, node) {
+  return adapter.children(node).filter(adapter.isElement);
+}
+
+/**
+ * Whether a DOM element is a void element, i.e. has no closing tag.
+ * In XML, these are the self-closing elements, which are the elements
+ * without children when the document was parsed by {@link ReMarkup#load}.
+ *
+ * @param {object} adapter    The DOM adapter.
+ * @param {DOMNode} element   The target element.
+ * @param {object} [options]  The parser options of the document.
+ *
+ * @return {boolean}
+ */
+function isVoid (adapter, element, options) {
+  if (options && options.xmlMode) {
+    return adapter.children(element).length === 0;
+  }
+
+  return voidElements.indexOf(adapter.tagName(element)) !== -1;
+}
+
+/**
+ * The serialized contents of a node.
+ *
+ * @param {object} adapter    The DOM adapter.
+ * @param {DOMNode} node      The document root or an element.
+ * @param {object} [options]  The parser options of the document.
+ *
+ * @return {string}
+ */
+function innerHTML (adapter, node, options) {
+  return adapter.children(node).map(child => adapter.html(child, options)).join('');
+}
+
+/**
+ * Inserts a node after another one.
+ *
+ * @param {object} adapter      The DOM adapter.
+ * @param {DOMNode} node        The inserted node.
+ * @param {DOMNode} reference   The node after which it is inserted.
+ */
+function insertAfter (adapter, node, reference) {
+  const siblings = adapter.children(adapter.parent(reference));
+  adapter.insertBefore(adapter.parent(reference), node,
+    siblings[siblings.indexOf(reference) + 1] || null);
+}
+
+/**
+ * Replaces an element by its contents.
+ *
+ * @param {object} adapter   The DOM adapter.
+ * @param {DOMNode} element  The element.
+ */
+function unwrap (adapter, element) {
+  const parent = adapter.parent(element);
+  for (let child of adapter.children(element)) {
+    adapter.insertBefore(parent, child, element);
+  }
+
+  adapter.remove(element);
+}
+
+/**
+ * The opening and closing tag of an element, including all attributes.
+ *
+ * @param {object} adapter    The DOM adapter.
+ * @param {DOMNode} element   The target element.
+ * @param {object} [options]  The parser options of the document.
+ *
+ * @return {string[]}  The opening and the (possibly empty) closing tag.
+ */
+function tagParts (adapter, element, options) {
+  const html = adapter.html(adapter.clone(element, false), options);
+  const closing = '</' + adapter.tagName(element) + '>';
+
+  if (isVoid(adapter, element, options)) {
+    return [html, ''];
+  }
+
+  // XML serialization (which is also used for <svg> in HTML)
+  // writes empty elements as self-closing tags
+  if (/\/>$/.test(html)) {
+    return [html.slice(0, -2) + '>', closing];
+  }
+
+  return [html.slice(0, -closing.length), closing];
+}
+
+/**
+ * The namespace URI that a prefix is bound to at an element, either by
+ * an <code>xmlns:prefix</code> (or, for the empty prefix, an
+ * <code>xmlns</code>) attribute of the element or one of its ancestors,
+ * or as one of the predefined <code>xml</code> and <code>xmlns</code>
+ * prefixes.
+ *
+ * @param {object} adapter   The DOM adapter.
+ * @param {string} prefix    The namespace prefix.
+ * @param {DOMNode} element  The element.
+ *
+ * @return {string}  The namespace URI, or <code>null</code>.
+ */
+function namespaceURI (adapter, prefix, element) {
+  const declaration = prefix ? 'xmlns:' + prefix : 'xmlns';
+
+  for (let e = element; e && adapter.isElement(e); e = adapter.parent(e)) {
+    const uri = adapter.getAttribute(e, declaration);
+    if (typeof uri !== 'undefined') {
+      return uri || null;
+    }
+  }
+
+  return prefix === 'xml' || prefix === 'xmlns' ? namespaces[prefix] : null;
+}
+
+/**
+ * The name of an attribute with its prefix replaced by the conventional
+ * prefix of its namespace, so that e.g. <code>l:href</code> is
+ * <code>xlink:href</code> when <code>l</code> is bound to the XLink
+ * namespace. Names without a prefix, or with a prefix of an unknown
+ * namespace, are returned unchanged.
+ *
+ * @param {object} adapter   The DOM adapter.
+ * @param {string} name      The attribute name.
+ * @param {DOMNode} element  The element that has the attribute.
+ *
+ * @return {string}  The attribute name.
+ */
+function qualifiedName (adapter, name, element) {
+  const colon = name.indexOf(':');
+  if (colon === -1 || !element || name.slice(0, colon) === 'xmlns') {
+    return name;
+  }
+
+  const uri = namespaceURI(adapter, name.slice(0, colon), element);
+  const prefix = Object.keys(namespaces).filter(p => namespaces[p] === uri)[0];
+
+  return prefix ? prefix + ':' + name.slice(colon + 1) : name;
+}
+
+/**
+ * The name of an element including its namespace URI, like
+ * <code>{http://www.w3.org/2000/svg}text</code>, so that elements
+ * are comparable regardless of the prefixes used in the document.
+ * Elements outside of any declared namespace (e.g. in HTML)
+ * keep their plain tag name.
+ *
+ * @param {object} adapter   The DOM adapter.
+ * @param {DOMNode} element  The element.
+ *
+ * @return {string}  The expanded name.
+ */
+function expandedName (adapter, element) {
+  const name = adapter.tagName(element);
+  const colon = name.indexOf(':');
+  const uri = namespaceURI(adapter, colon === -1 ? '' : name.slice(0, colon), element);
+
+  return uri ? '{' + uri + '}' + name.slice(colon + 1) : name;
+}
+
+/**
+ * Escapes a string for use in HTML or XML text and attribute values.
+ *
+ * @param {string} string  The unescaped string.
+ *
+ * @return {string}  The escaped string.
+ */
+function escape (string) {
+  return string
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * The source ranges of all elements of an HTML string, in document order
+ * (i.e. in the same order as {@link elements} after parsing
+ * the string with the same options).
+ *
+ * @param {string} html     The HTML string.
+ * @param {object} options  The parser options.
+ *
+ * @return {number[][]}  A list of <code>[start, end]</code> ranges.
+ */
+function sourceRanges (html, options) {
+  const ranges = [];
+  const stack = [];
+  let ending = false;
+
+  // when an opening tag implicitly closes elements, the parser reports the
+  // start of that tag for the first of these elements only, and bogus
+  // positions for the following ones and the new element itself
+  let implicitStart = null;
+
+  const parser = new htmlparser.Parser({
+    onopentag: name => {
+      stack.push({ name: name, range: ranges.length });
+      ranges.push([implicitStart !== null ? implicitStart : parser.startIndex, null]);
+      implicitStart = null;
+    },
+
+    onclosetag: name => {
+      const range = ranges[stack.pop().range];
+
+      if (ending) {
+        // unclosed elements extend to the end of the input
+        range[1] = html.length;
+        return;
+      }
+
+      if (implicitStart !== null || parser.startIndex > parser.endIndex) {
+        range[1] = implicitStart;
+        return;
+      }
+
+      const token = html.slice(parser.startIndex, parser.endIndex + 1);
+      const closing = token.match(/^<\/([^\s>\/]+)/);
+      const closedName = closing && (options.xmlMode ? closing[1] : closing[1].toLowerCase());
+
+      if (!closing && parser.startIndex !== range[0]) {
+        // implicitly closed by an opening tag
+        implicitStart = range[1] = parser.startIndex;
+      } else if (closing && closedName !== name &&
+                 stack.some(open => open.name === closedName)) {
+        // implicitly closed by the closing tag of an ancestor
+        range[1] = parser.startIndex;
+      } else {
+        // closed by its own closing tag, or a void or self-closing element
+        range[1] = parser.endIndex + 1;
+      }
+    }
+  }, options);
+
+  parser.write(html);
+  ending = true;
+  parser.end();
+
+  return ranges;
+}
+
+/**
+ * Adds an empty text node to the empty elements of a parsed XML string
+ * that were written with an end tag, like <code>&lt;td&gt;&lt;/td&gt;</code>,
+ * which XML serialization would otherwise turn into self-closing tags.
+ *
+ * @param {object} adapter  The DOM adapter.
+ * @param {DOMNode} root     The document root.
+ * @param {string} html      The parsed string.
+ * @param {object} options   The parser options.
+ */
+function keepEndTags (adapter, root, html, options) {
+  const ranges = sourceRanges(html, options);
+  const all = elements(adapter, root, options);
+  if (ranges.length !== all.length) {
+    return;
+  }
+
+  all.forEach((element, i) => {
+    if (adapter.children(element).length === 0 &&
+        !/\/\s*>$/.test(html.slice(ranges[i][0], ranges[i][1]))) {
+      adapter.insertBefore(element, adapter.createText('', element), null);
+    }
+  });
+}
+
+module.exports = {
+  elements: elements,
+  childElements: childElements,
+  isVoid: isVoid,
+  innerHTML: innerHTML,
+  insertAfter: insertAfter,
+  unwrap: unwrap,
+  tagParts: tagParts,
+  namespaceURI: namespaceURI,
+  qualifiedName: qualifiedName,
+  expandedName: expandedName,
+  escape: escape,
+  sourceRanges: sourceRanges,
+  keepEndTags: keepEndTags
+};
+
+})();
@@ -0,0 +1,296 @@
+;(function() {
+'use strict';
+
+const dom = require('./dom');
+
+/**
+ * Formatting-preserving output for {@link ReMarkup#reMarkup}, which writes
+ * attributes in the form of the original source and restores whitespace
+ * that {@link ReMarkup.stripSpaces} collapsed.
+ *
+ * @module remarkup/lib/formatting
+ * @private
+ */
+
+// elements whose text is not entity-encoded in HTML
+const rawTextElements = [
+  'iframe', 'noembed', 'noframes', 'noscript', 'plaintext', 'script', 'style', 'xmp'
+];
+
+/**
+ * Parses the opening tag at the start of an element's source code.
+ *
+ * @param {string} source   The source code of the element.
+ * @param {object} options  The parser options.
+ *
+ * @return {object}  An object <code>{ name, attributes, end }</code>, where
+ *                   <code>attributes</code> is a list of
+ *                   <code>{ name, source, space, quote }</code> objects
+ *                   and <code>end</code> is e.g. <code>' /&gt;'</code>,
+ *                   or <code>null</code> if the tag could not be parsed.
+ */
+function parseTag (source, options) {
+  const name = source.match(/^<([^\s\/>]+)/);
+  if (!name) {
+    return null;
+  }
+
+  const lowerCase = 'lowerCaseAttributeNames' in options ?
+    !!options.lowerCaseAttributeNames : !options.xmlMode;
+  const attributePattern = /(\s*)([^\s=\/>"']+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>"']*))?/g;
+  const attributes = [];
+  let index = name[0].length;
+
+  for (;;) {
+    const end = source.slice(index).match(/^\s*\/?>/);
+    if (end) {
+      return { name: name[1], attributes: attributes, end: end[0] };
+    }
+
+    attributePattern.lastIndex = index;
+    const match = attributePattern.exec(source);
+    if (!match || match.index !== index || match[1].length === 0) {
+      return null;
+    }
+
+    attributes.push({
+      name: lowerCase ? match[2].toLowerCase() : match[2],
+      source: match[0],
+      space: match[1],
+      quote: match[3] && match[3][0] === '\'' ? '\'' : '"'
+    });
+
+    index = attributePattern.lastIndex;
+  }
+}
+
+/**
+ * Parses the opening tags of all elements of a document.
+ *
+ * @param {object} adapter  The DOM adapter.
+ * @param {string} html      The source code of the document.
+ * @param {DOMNode} root     The document root, parsed from <code>html</code>.
+ * @param {object} options   The parser options.
+ *
+ * @return {Map}  A map of elements to the results of {@link parseTag}.
+ *                Elements whose tags could not be parsed reliably are omitted.
+ */
+function openingTags (adapter, html, root, options) {
+  const elements = dom.elements(adapter, root, options);
+  const ranges = dom.sourceRanges(html, options);
+  const tags = new Map();
+
+  if (ranges.length !== elements.length) {
+    return tags;
+  }
+
+  elements.forEach((element, i) => {
+    const tag = parseTag(html.slice(ranges[i][0], ranges[i][1]), options);
+    if (!tag) {
+      return;
+    }
+
+    const names = tag.attributes.map(attribute => attribute.name);
+    const attributeNames = adapter.attributeNames(element);
+    const tagName = adapter.tagName(element);
+    const sameName = options.xmlMode ? tag.name === tagName : tag.name.toLowerCase() === tagName;
+
+    // duplicate attributes are dropped by the parser
+    if (sameName &&
+        names.every((name, j) => names.indexOf(name) === j) &&
+        names.length === attributeNames.length &&
+        names.every(name => attributeNames.indexOf(name) !== -1)) {
+      tags.set(element, tag);
+    }
+  });
+
+  return tags;
+}
+
+const collapse = string => string.replace(/[\t\n\r ]+/g, ' ');
+
+// split the children of an element into the runs of other nodes
+// between its child elements, which delimit them
+function gaps (adapter, element) {
+  const result = [{ before: null, after: null, nodes: [] }];
+
+  for (let child of adapter.children(element)) {
+    if (adapter.isElement(child)) {
+      result[result.length - 1].after = child;
+      result.push({ before: child, after: null, nodes: [] });
+    } else {
+      result[result.length - 1].nodes.push(child);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Restores the whitespace of original text nodes that
+ * {@link ReMarkup.stripSpaces} collapsed and that was not changed
+ * otherwise, i.e. the leading and trailing whitespace of text next to
+ * matched elements, and whole texts that were not translated.
+ *
+ * @param {object} adapter  The DOM adapter.
+ * @param {Map} originals   A map of modified elements (and the document root)
+ *                          to the matching original elements.
+ */
+function restoreWhitespace (adapter, originals) {
+  originals.forEach((origElement, element) => {
+    const origGaps = gaps(adapter, origElement);
+
+    gaps(adapter, element).forEach(gap => {
+      const before = gap.before && originals.get(gap.before);
+      const after = gap.after && originals.get(gap.after);
+      if (before === undefined || after === undefined) {
+        return;
+      }
+
+      const origGap = origGaps.filter(g => g.before === before && g.after === after)[0];
+      if (!origGap || gap.nodes.concat(origGap.nodes).some(node => !adapter.isText(node))) {
+        return;
+      }
+
+      const origText = origGap.nodes.map(adapter.data).join('');
+      const text = gap.nodes.map(adapter.data).join('');
+
+      // what stripSpaces makes of whitespace, which is only
+      // removed at the start and the end of the element
+      const leading = ws => before ? collapse(ws) : '';
+      const trailing = ws => after ? collapse(ws) : '';
+      const stripped = collapse(origText)
+        .replace(/^ /, leading(' '))
+        .replace(/ $/, trailing(' '));
+
+      let restored = text;
+      if (text === stripped) {
+        restored = origText;
+      } else if (/\S/.test(origText) && /\S/.test(text)) {
+        const origLead = origText.match(/^[\t\n\r ]*/)[0];
+        const origTrail = origText.match(/[\t\n\r ]*$/)[0];
+        const lead = text.match(/^[\t\n\r ]*/)[0];
+        const trail = text.match(/[\t\n\r ]*$/)[0];
+
+        restored = (lead === leading(origLead) ? origLead : lead) +
+          text.slice(lead.length, text.length - trail.length) +
+          (trail === trailing(origTrail) ? origTrail : trail);
+      }
+
+      if (restored === text) {
+        return;
+      }
+
+      if (gap.nodes.length === 0) {
+        adapter.insertBefore(element, adapter.createText(restored, element), gap.after);
+        return;
+      }
+
+      adapter.setData(gap.nodes[0], restored);
+      gap.nodes.slice(1).forEach(node => adapter.setData(node, ''));
+    });
+  });
+}
+
+// escape text with as few entities as possible
+function escapeText (text, options) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, options.xmlMode ? '&#160;' : '&nbsp;');
+}
+
+// write an attribute with the given quotes
+function formatAttribute (name, value, quote, options) {
+  if (value === '' && !options.xmlMode) {
+    return name;
+  }
+
+  const escaped = value.replace(/&/g, '&amp;').replace(new RegExp(quote, 'g'),
+    quote === '"' ? '&quot;' : '&#39;');
+  return name + '=' + quote + escaped + quote;
+}
+
+/**
+ * Serializes a document, writing the attributes of elements that match
+ * original elements in their original form if they were not changed,
+ * and encoding only the characters that need to be encoded in text.
+ *
+ * @param {object} adapter   The DOM adapter.
+ * @param {DOMNode} root      The document root.
+ * @param {Map} originals     A map of elements to the matching original elements.
+ * @param {Map} tags          The opening tags of the original elements,
+ *                            from {@link openingTags}.
+ * @param {object} options    The parser options.
+ *
+ * @return {string}  The serialized document.
+ */
+function serialize (adapter, root, originals, tags, options) {
+  const render = node => {
+    if (adapter.isText(node)) {
+      const parent = adapter.parent(node);
+      const raw = options.decodeEntities === false || (!options.xmlMode && parent &&
+        adapter.isElement(parent) && rawTextElements.indexOf(adapter.tagName(parent)) !== -1);
+
+      return raw ? adapter.data(node) : escapeText(adapter.data(node), options);
+    }
+
+    // inline SVG is always written as XML
+    if (!adapter.isElement(node) || (adapter.tagName(node) === 'svg' && !options.xmlMode)) {
+      return adapter.html(node, options);
+    }
+
+    const tagName = adapter.tagName(node);
+    const original = originals.get(node);
+    const tag = (original && tags && tags.get(original)) || { name: tagName, attributes: [], end: '>' };
+    const isVoid = dom.isVoid(adapter, node, options);
+    const name = tag.name.toLowerCase() === tagName.toLowerCase() ? tag.name : tagName;
+
+    const written = [];
+    let html = '<' + name;
+    for (let attribute of tag.attributes) {
+      const value = adapter.getAttribute(node, attribute.name);
+      if (typeof value === 'undefined') {
+        continue;
+      }
+
+      written.push(attribute.name);
+      html += value === adapter.getAttribute(original, attribute.name) ? attribute.source :
+        attribute.space + formatAttribute(attribute.name, value, attribute.quote, options);
+    }
+
+    for (let attributeName of adapter.attributeNames(node)) {
+      if (written.indexOf(attributeName) === -1) {
+        html += ' ' + formatAttribute(attributeName, adapter.getAttribute(node, attributeName), '"', options);
+      }
+    }
+
+    if (options.xmlMode) {
+      const selfClosing = /\//.test(tag.end);
+      if (isVoid) {
+        return html + (selfClosing ? tag.end : '/>');
+      }
+
+      html += selfClosing ? tag.end.replace('/', '') : tag.end;
+    } else {
+      html += tag.end;
+      if (isVoid) {
+        return html;
+      }
+    }
+
+    return html + adapter.children(node).map(render).join('') + '</' + name + '>';
+  };
+
+  return adapter.children(root).map(render).join('');
+}
+
+module.exports = {
+  parseTag: parseTag,
+  openingTags: openingTags,
+  restoreWhitespace: restoreWhitespace,
+  serialize: serialize
+};
+
+})();
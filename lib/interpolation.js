@@ -0,0 +1,322 @@
+;(function() {
+'use strict';
+
+const dom = require('./dom');
+
+/**
+ * Masking of template interpolation expressions and opaque elements
+ * as placeholders.
+ *
+ * @module remarkup/lib/interpolation
+ * @private
+ */
+
+// the tag name of placeholder elements
+const placeholderTag = 'remarkup-ph';
+
+// elements whose text is never masked
+const ignoredElements = ['script', 'style'];
+
+// the start of the comments that stand for placeholders in unmask()
+const markerPrefix = placeholderTag + ':';
+
+// all comments below a node that look like placeholder markers
+function markerComments (adapter, node) {
+  return adapter.children(node).reduce((comments, child) => {
+    if (adapter.isElement(child)) {
+      return comments.concat(markerComments(adapter, child));
+    }
+
+    const data = adapter.isText(child) ? null : adapter.data(child);
+    return typeof data === 'string' && data.indexOf(markerPrefix) === 0 ?
+      comments.concat([child]) : comments;
+  }, []);
+}
+
+/**
+ * Finds ICU message format expressions like
+ * <code>{count, plural, =1 {one item} other {# items}}</code>,
+ * which may contain nested braces.
+ *
+ * @param {string} text  The input text.
+ *
+ * @return {number[][]}  A list of <code>[start, end]</code> ranges.
+ */
+function icuExpressions (text) {
+  const ranges = [];
+  const start = /\{\s*[\w.]+\s*,\s*(?:plural|select|selectordinal)\s*,/g;
+  let match;
+
+  while ((match = start.exec(text)) !== null) {
+    let depth = 0;
+    for (let i = match.index; i < text.length; ++i) {
+      if (text[i] === '{') {
+        ++depth;
+      } else if (text[i] === '}' && --depth === 0) {
+        ranges.push([match.index, i + 1]);
+        start.lastIndex = i + 1;
+        break;
+      }
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Options for common template languages, usable through the
+ * <code>preset</code> option of {@link ReMarkup}.
+ */
+const presets = {
+  angular: {
+    interpolation: [/\{\{[^]*?\}\}/g, icuExpressions],
+    boundAttribute: name => {
+      const match = name.match(/^\[(?:attr\.)?([^\]]+)\]$|^bind-(.+)$/);
+      return match ? match[1] || match[2] : null;
+    },
+    parserOptions: { lowerCaseAttributeNames: false }
+  },
+
+  vue: {
+    interpolation: [/\{\{[^]*?\}\}/g],
+    boundAttribute: name => {
+      const match = name.match(/^(?::|v-bind:)(.+)$/);
+      return match ? match[1] : null;
+    },
+    parserOptions: { lowerCaseAttributeNames: false }
+  },
+
+  handlebars: {
+    interpolation: [/\{\{\{[^]*?\}\}\}|\{\{!--[^]*?--\}\}|\{\{[^]*?\}\}/g]
+  }
+};
+
+// find the non-overlapping ranges in a text that match any of the patterns,
+// which are global regexes or functions returning [start, end] ranges
+function findExpressions (text, patterns) {
+  let ranges = [];
+
+  for (let pattern of patterns) {
+    if (typeof pattern === 'function') {
+      ranges = ranges.concat(pattern(text));
+      continue;
+    }
+
+    const regexp = new RegExp(pattern.source,
+      'g' + (pattern.ignoreCase ? 'i' : '') + (pattern.multiline ? 'm' : ''));
+    let match;
+    while ((match = regexp.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        ++regexp.lastIndex;
+        continue;
+      }
+
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  // earlier and longer matches win
+  ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  return ranges.filter((range, i) => !ranges.slice(0, i).some(r => r[1] > range[0]));
+}
+
+// create a placeholder element and insert it before a node
+function insertPlaceholder (adapter, node, id) {
+  const placeholder = adapter.createElement(placeholderTag, node);
+  adapter.setAttribute(placeholder, 'remarkup-id', id);
+  adapter.insertBefore(adapter.parent(node), placeholder, node);
+}
+
+/**
+ * Replaces interpolation expressions in the text nodes of a document
+ * by placeholder elements with generated <code>remarkup-id</code>
+ * attributes, numbered in document order.
+ *
+ * @param {object} adapter       The DOM adapter.
+ * @param {DOMNode} root         The document root.
+ * @param {Array} patterns       Regexes and/or functions finding expressions.
+ * @param {object} placeholders  An object to which the placeholder IDs and
+ *                               the original expressions are added.
+ */
+function mask (adapter, root, patterns, placeholders) {
+  if (patterns.length === 0) {
+    return;
+  }
+
+  const visit = node => {
+    if (adapter.isText(node)) {
+      const data = adapter.data(node);
+      const ranges = findExpressions(data, patterns);
+      if (ranges.length === 0) {
+        return;
+      }
+
+      const insertText = text => {
+        if (text !== '') {
+          adapter.insertBefore(adapter.parent(node), adapter.createText(text, node), node);
+        }
+      };
+
+      let last = 0;
+      for (let range of ranges) {
+        const id = 'ph' + (Object.keys(placeholders).length + 1);
+        placeholders[id] = data.slice(range[0], range[1]);
+
+        insertText(data.slice(last, range[0]));
+        insertPlaceholder(adapter, node, id);
+        last = range[1];
+      }
+
+      insertText(data.slice(last));
+      adapter.remove(node);
+      return;
+    }
+
+    if (adapter.isRoot(node) || (adapter.isElement(node) &&
+        ignoredElements.indexOf(adapter.tagName(node)) === -1 &&
+        adapter.tagName(node) !== placeholderTag)) {
+      adapter.children(node).forEach(visit);
+    }
+  };
+
+  visit(root);
+}
+
+/**
+ * Replaces elements by placeholder elements, like {@link mask}.
+ *
+ * @param {object} adapter        The DOM adapter.
+ * @param {DOMNode[]} elements     The elements.
+ * @param {string[]} sources       The source code of each element, which
+ *                                 is restored verbatim by {@link unmask}.
+ * @param {object} placeholders    An object to which the placeholder IDs and
+ *                                 the sources are added.
+ */
+function maskElements (adapter, elements, sources, placeholders) {
+  elements.forEach((element, i) => {
+    const id = 'ph' + (Object.keys(placeholders).length + 1);
+    placeholders[id] = sources[i];
+
+    insertPlaceholder(adapter, element, id);
+    adapter.remove(element);
+  });
+}
+
+/**
+ * Checks that every placeholder appears exactly once in a document.
+ *
+ * @param {object} adapter      The DOM adapter.
+ * @param {DOMNode} root         The document root.
+ * @param {object} placeholders  The placeholders from {@link mask}.
+ *
+ * @return {object[]}  A list of violations.
+ */
+function verify (adapter, root, placeholders) {
+  const counts = {};
+  adapter.find(root, placeholderTag).forEach(element => {
+    const id = adapter.getAttribute(element, 'remarkup-id');
+    counts[id] = (counts[id] || 0) + 1;
+  });
+
+  const violations = [];
+  Object.keys(placeholders).forEach(id => {
+    if (!counts[id]) {
+      violations.push({
+        type: 'placeholder-missing',
+        placeholder: id,
+        expression: placeholders[id],
+        message: 'Missing placeholder ' + id + ' (' + placeholders[id] + ')'
+      });
+    } else if (counts[id] > 1) {
+      violations.push({
+        type: 'placeholder-duplicated',
+        placeholder: id,
+        expression: placeholders[id],
+        message: 'Placeholder ' + id + ' (' + placeholders[id] + ') appears ' + counts[id] + ' times'
+      });
+    }
+  });
+
+  Object.keys(counts).forEach(id => {
+    if (!Object.prototype.hasOwnProperty.call(placeholders, id)) {
+      violations.push({
+        type: 'placeholder-unknown',
+        placeholder: id,
+        message: 'Unknown placeholder ' + id
+      });
+    }
+  });
+
+  // comments like those that unmask() creates are kept as comments,
+  // but most likely an attempt to smuggle in a placeholder
+  markerComments(adapter, root).forEach(comment => {
+    violations.push({
+      type: 'placeholder-comment',
+      comment: adapter.data(comment),
+      message: 'Comment resembling a placeholder: <!--' + adapter.data(comment) + '-->'
+    });
+  });
+
+  return violations;
+}
+
+/**
+ * Serializes a document, replacing the placeholder elements
+ * by the original expressions verbatim.
+ *
+ * The placeholders are replaced by comments with a random nonce first,
+ * which are then replaced in the serialized HTML, so that comments in
+ * the document itself are never mistaken for placeholders. The nonce
+ * is chosen so that it does not occur anywhere in the document.
+ *
+ * @param {object} adapter      The DOM adapter.
+ * @param {DOMNode} root         The document root.
+ * @param {object} placeholders  The placeholders from {@link mask}.
+ * @param {object} options       The parser options.
+ * @param {function} [serialize] Serializes the document root.
+ *
+ * @return {string}  The HTML string.
+ */
+function unmask (adapter, root, placeholders, options, serialize) {
+  // the texts, comments and attribute values, which (e.g. in scripts)
+  // may be serialized verbatim
+  const strings = [];
+  const collect = node => adapter.children(node).forEach(child => {
+    if (adapter.isElement(child)) {
+      adapter.attributeNames(child).forEach(name => strings.push(String(adapter.getAttribute(child, name))));
+    } else if (typeof adapter.data(child) === 'string') {
+      strings.push(adapter.data(child));
+    }
+
+    collect(child);
+  });
+  collect(root);
+
+  let nonce;
+  do {
+    nonce = Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+  } while (strings.some(string => string.indexOf(nonce) !== -1));
+
+  adapter.find(root, placeholderTag).forEach(element => {
+    const id = adapter.getAttribute(element, 'remarkup-id') || '';
+    adapter.insertBefore(adapter.parent(element),
+      adapter.createComment(markerPrefix + nonce + ':' + id.replace(/-->/g, ''), element), element);
+    dom.unwrap(adapter, element);
+  });
+
+  const marker = new RegExp('<!--' + markerPrefix + nonce + ':(.*?)-->', 'g');
+  return (serialize ? serialize(root) : adapter.html(root, options)).replace(marker, (m, id) =>
+    Object.prototype.hasOwnProperty.call(placeholders, id) ? placeholders[id] : '');
+}
+
+module.exports = {
+  presets: presets,
+  icuExpressions: icuExpressions,
+  placeholderTag: placeholderTag,
+  mask: mask,
+  maskElements: maskElements,
+  verify: verify,
+  unmask: unmask
+};
+
+})();
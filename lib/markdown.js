@@ -0,0 +1,297 @@
+;(function() {
+'use strict';
+
+const dom = require('./dom');
+const interpolation = require('./interpolation');
+
+/**
+ * The Markdown-like <code>'markdown'</code> format of un-marked fragments.
+ *
+ * <code>&lt;em&gt;</code> and <code>&lt;strong&gt;</code> become
+ * <code>*…*</code> and <code>**…**</code>, <code>&lt;br&gt;</code> a line
+ * break and links <code>[…](n)</code>. All other elements (and those
+ * which still have attributes) become numbered markers like
+ * <code>[1]…[/1]</code> or <code>[2/]</code>. Literal <code>*</code>,
+ * <code>[</code>, <code>]</code> and <code>\</code> are escaped
+ * with a backslash.
+ *
+ * @module remarkup/lib/markdown
+ * @private
+ */
+
+// the markers of elements without numbers
+const emphasis = { em: '*', strong: '**' };
+
+// [1], [/1] and [1/]
+const markerRegexp = /^\[(\/?)(\d+)(\/?)\]/;
+
+// the end of a link, ](1)
+const linkEndRegexp = /^\]\((\d+)\)/;
+
+// whether an element is written with a lightweight marker instead of a number
+function isLightweight (adapter, element) {
+  const name = adapter.tagName(element);
+  if (adapter.attributeNames(element).length > 0) {
+    return false;
+  }
+
+  // empty emphasis would be read as a literal ** or ****
+  return name === 'br' ||
+    (emphasis.hasOwnProperty(name) && adapter.children(element).length > 0);
+}
+
+/**
+ * The elements which are written with numbered markers (or as links),
+ * in the order of their numbers.
+ *
+ * @param {object} adapter       The DOM adapter.
+ * @param {DOMNode[]} elements   All elements of an un-marked document,
+ *                               in document order.
+ *
+ * @return {DOMNode[]}
+ */
+function numberedElements (adapter, elements) {
+  return elements.filter(element => !isLightweight(adapter, element));
+}
+
+// escape the markup characters of a text; line breaks in the text are
+// only whitespace in HTML, while they stand for <br> in the format
+function escapeText (text) {
+  return text
+    .replace(/[\t\n\r ]*[\r\n][\t\n\r ]*/g, ' ')
+    .replace(/[\\*[\]]/g, '\\$&');
+}
+
+/**
+ * Writes an un-marked document in the <code>'markdown'</code> format.
+ *
+ * @param {object} adapter    The DOM adapter.
+ * @param {DOMNode} root      The document root.
+ * @param {Map} [ids]         The numbers of the elements; by default, the
+ *                            {@link numberedElements} are counted
+ *                            in document order.
+ * @param {object} [options]  The parser options of the document.
+ *
+ * @return {string}
+ */
+function serialize (adapter, root, ids, options) {
+  ids = ids || new Map(numberedElements(adapter, dom.elements(adapter, root, options))
+    .map((e, i) => [e, i + 1]));
+
+  const write = node => adapter.children(node).map(child => {
+    if (adapter.isText(child)) {
+      return escapeText(adapter.data(child));
+    }
+
+    // comments and other nodes are left out
+    if (!adapter.isElement(child)) {
+      return '';
+    }
+
+    const name = adapter.tagName(child);
+    const content = write(child);
+
+    if (!ids.has(child)) {
+      return name === 'br' ? '\n' : emphasis[name] + content + emphasis[name];
+    }
+
+    const n = ids.get(child);
+    if (name === 'a') {
+      return '[' + content + '](' + n + ')';
+    }
+
+    if (adapter.children(child).length === 0 &&
+        (dom.isVoid(adapter, child, options) || name === interpolation.placeholderTag)) {
+      return '[' + n + '/]';
+    }
+
+    return '[' + n + ']' + content + '[/' + n + ']';
+  }).join('');
+
+  return write(root);
+}
+
+/**
+ * Parses a string in the <code>'markdown'</code> format into a tree of
+ * <code>{ type, children }</code> nodes, where <code>type</code> is one of
+ * <code>'root'</code>, <code>'text'</code> (with the unescaped
+ * <code>text</code>), <code>'break'</code>, <code>'emphasis'</code>
+ * (with the <code>tagName</code>) and <code>'element'</code> (with the
+ * <code>id</code> of a numbered marker or link).
+ *
+ * Unclosed numbered markers are closed at the end of their parent, like
+ * unclosed HTML elements. Unclosed emphasis and link markers are read as
+ * literal text, and closing markers without an open counterpart are dropped.
+ *
+ * @param {string} string  The string.
+ *
+ * @return {object}  The root node.
+ */
+function parse (string) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  let text = '';
+
+  const flush = () => {
+    if (text !== '') {
+      top().children.push({ type: 'text', text: text });
+      text = '';
+    }
+  };
+
+  const open = node => {
+    flush();
+    top().children.push(node);
+    stack.push(node);
+  };
+
+  // replace an unclosed emphasis or link by its source and children
+  const dissolve = (node, parent) => {
+    Array.prototype.splice.apply(parent.children,
+      [parent.children.indexOf(node), 1, { type: 'text', text: node.source }].concat(node.children));
+  };
+
+  // close the innermost open node accepted by test, along with the nodes
+  // inside of it, and return it (or null, if there is none)
+  const close = test => {
+    let index = stack.length - 1;
+    while (index > 0 && !test(stack[index])) {
+      --index;
+    }
+
+    if (index === 0) {
+      return null;
+    }
+
+    flush();
+    while (stack.length > index + 1) {
+      const node = stack.pop();
+      if (node.type !== 'element') {
+        dissolve(node, top());
+      }
+    }
+
+    return stack.pop();
+  };
+
+  let i = 0;
+  while (i < string.length) {
+    const c = string[i];
+    const rest = string.slice(i);
+
+    if (c === '\\' && i + 1 < string.length) {
+      text += string[i + 1];
+      i += 2;
+    } else if (c === '\r' || c === '\n') {
+      flush();
+      top().children.push({ type: 'break' });
+      i += rest.slice(0, 2) === '\r\n' ? 2 : 1;
+    } else if (c === '[' && markerRegexp.test(rest)) {
+      const match = rest.match(markerRegexp);
+      const id = +match[2];
+
+      if (match[1]) {
+        close(node => node.type === 'element' && node.id === id);
+      } else if (match[3]) {
+        flush();
+        top().children.push({ type: 'element', id: id, children: [] });
+      } else {
+        open({ type: 'element', id: id, children: [] });
+      }
+
+      i += match[0].length;
+    } else if (c === '[') {
+      // a link, if it is closed by ](n) later
+      open({ type: 'link', source: '[', children: [] });
+      ++i;
+    } else if (c === ']' && linkEndRegexp.test(rest) && stack.some(node => node.type === 'link')) {
+      const match = rest.match(linkEndRegexp);
+      const link = close(node => node.type === 'link');
+      link.type = 'element';
+      link.id = +match[1];
+
+      i += match[0].length;
+    } else if (c === '*') {
+      let run = rest.match(/^\*+/)[0].length;
+      i += run;
+
+      // a run of asterisks closes the innermost emphasis first...
+      while (run > 0 && top().type === 'emphasis' && top().source.length <= run) {
+        flush();
+        run -= stack.pop().source.length;
+      }
+
+      // ... and opens new ones with the rest, strong before em
+      while (run > 0) {
+        const source = run >= 2 ? '**' : '*';
+        open({ type: 'emphasis', tagName: source === '**' ? 'strong' : 'em', source: source, children: [] });
+        run -= source.length;
+      }
+    } else {
+      text += c;
+      ++i;
+    }
+  }
+
+  flush();
+  while (stack.length > 1) {
+    const node = stack.pop();
+    if (node.type !== 'element') {
+      dissolve(node, top());
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Converts a string in the <code>'markdown'</code> format to HTML.
+ * Numbered markers and links get the tags of the corresponding
+ * un-marked elements; unknown numbers are dropped.
+ *
+ * @param {object} adapter       The DOM adapter.
+ * @param {string} string        The string.
+ * @param {DOMNode[]} elements   All elements of the un-marked original
+ *                               document, in document order.
+ * @param {object} [options]     The parser options of the document.
+ *
+ * @return {string}
+ */
+function toHTML (adapter, string, elements, options) {
+  const numbered = numberedElements(adapter, elements);
+
+  const render = node => {
+    switch (node.type) {
+      case 'text':
+        return dom.escape(node.text);
+      case 'break':
+        return options && options.xmlMode ? '<br/>' : '<br>';
+    }
+
+    const content = node.children.map(render).join('');
+
+    if (node.type === 'emphasis') {
+      return '<' + node.tagName + '>' + content + '</' + node.tagName + '>';
+    }
+
+    const element = node.type === 'element' ? numbered[node.id - 1] : null;
+    if (!element) {
+      return content;
+    }
+
+    const parts = dom.tagParts(adapter, element, options);
+    return parts[0] + content + parts[1];
+  };
+
+  return render(parse(string));
+}
+
+module.exports = {
+  numberedElements: numberedElements,
+  serialize: serialize,
+  parse: parse,
+  toHTML: toHTML
+};
+
+})();
@@ -0,0 +1,132 @@
+;(function() {
+'use strict';
+
+/**
+ * Built-in strategies for merging original and translated attribute values.
+ * Each strategy is called as
+ * <code>(originalValue, translatedValue, name, originalElement, modifiedElement)</code>,
+ * where either value may be <code>undefined</code> if the attribute
+ * is missing on that side, and returns the merged value, or
+ * <code>undefined</code> to remove the attribute. The ReMarkup
+ * instance is passed as <code>this</code>.
+ *
+ * @module remarkup/lib/merge
+ * @private
+ */
+
+// locale path segments like "en", "de-AT" or "pt_BR"
+const localeSegment = /^[a-z]{2,3}(?:[-_][A-Za-z]{2,4})?$/;
+
+// whether a locale path segment is a language tag, e.g. "en-us" for "en"
+function isLanguage (segment, lang) {
+  const primary = tag => tag.toLowerCase().split(/[-_]/)[0];
+  return localeSegment.test(segment) && primary(segment) === primary(lang);
+}
+
+// split a string at semicolons outside of quotes and parentheses,
+// like in url("data:image/png;base64,...")
+function splitDeclarations (style) {
+  const parts = [];
+  let start = 0, depth = 0, quote = null;
+
+  for (let i = 0; i < style.length; ++i) {
+    const c = style[i];
+    if (quote) {
+      if (c === '\\') {
+        ++i;
+      } else if (c === quote) {
+        quote = null;
+      }
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '(') {
+      ++depth;
+    } else if (c === ')') {
+      depth = Math.max(depth - 1, 0);
+    } else if (c === ';' && depth === 0) {
+      parts.push(style.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  return parts.concat(style.slice(start));
+}
+
+// split a style attribute into a list of [property, value] declarations
+function declarations (style) {
+  return splitDeclarations(style || '')
+    .map(declaration => declaration.trim())
+    .filter(declaration => declaration.indexOf(':') > 0)
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      return [declaration.slice(0, colon).trim(), declaration.slice(colon + 1).trim()];
+    });
+}
+
+const strategies = {
+  // always use the original value
+  original: (originalValue, translatedValue) => originalValue,
+
+  // use the translated value, if there is one
+  translation: (originalValue, translatedValue) =>
+    typeof translatedValue !== 'undefined' ? translatedValue : originalValue,
+
+  // the union of space-separated tokens, e.g. for class lists
+  union: (originalValue, translatedValue) => {
+    const tokens = (originalValue || '').split(/\s+/)
+      .concat((translatedValue || '').split(/\s+/))
+      .filter(token => token.length > 0);
+
+    return tokens.filter((token, i) => tokens.indexOf(token) === i).join(' ');
+  },
+
+  // the original style declarations, overridden by the translated ones
+  style: (originalValue, translatedValue) => {
+    const merged = declarations(originalValue);
+
+    for (let declaration of declarations(translatedValue)) {
+      const existing = merged.filter(d => d[0].toLowerCase() === declaration[0].toLowerCase())[0];
+      if (existing) {
+        existing[1] = declaration[1];
+      } else {
+        merged.push(declaration);
+      }
+    }
+
+    return merged.map(d => d[0] + ': ' + d[1]).join('; ');
+  },
+
+  // the translated URL, if it differs from the original one only in
+  // a locale path segment (e.g. /en/about → /de/about), which must
+  // be the source language so that e.g. /img/a.png is not changed
+  localePath: function (originalValue, translatedValue) {
+    const srcLang = (this && this.srcLang) || 'en';
+
+    if (typeof originalValue === 'undefined' || typeof translatedValue === 'undefined') {
+      return originalValue;
+    }
+
+    const split = url => {
+      const match = url.match(/^([a-z][a-z0-9+.-]*:\/\/[^/]*)?([^?#]*)(.*)$/i);
+      return [match[1] || '', match[2].split('/'), match[3]];
+    };
+
+    const a = split(originalValue), b = split(translatedValue);
+    if (a[0] !== b[0] || a[2] !== b[2] || a[1].length !== b[1].length) {
+      return originalValue;
+    }
+
+    const differing = a[1].map((segment, i) => i).filter(i => a[1][i] !== b[1][i]);
+    if (differing.length === 1 &&
+        isLanguage(a[1][differing[0]], srcLang) &&
+        localeSegment.test(b[1][differing[0]])) {
+      return translatedValue;
+    }
+
+    return originalValue;
+  }
+};
+
+module.exports = strategies;
+
+})();
@@ -0,0 +1,163 @@
+;(function() {
+'use strict';
+
+const content = require('./content');
+const segments = require('./segments');
+
+/**
+ * Pseudo-localization of un-marked HTML fragments.
+ *
+ * @module remarkup/lib/pseudo
+ * @private
+ */
+
+const accents = {
+  a: 'å', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ',
+  k: 'ķ', l: 'ļ', n: 'ñ', o: 'ö', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', w: 'ŵ',
+  y: 'ý', z: 'ž', A: 'Å', C: 'Ç', D: 'Ð', E: 'É', G: 'Ĝ', H: 'Ĥ', I: 'Î',
+  J: 'Ĵ', K: 'Ķ', L: 'Ļ', N: 'Ñ', O: 'Ö', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û',
+  W: 'Ŵ', Y: 'Ý', Z: 'Ž'
+};
+
+// URLs, email addresses and placeholders are copied verbatim
+const verbatim = new RegExp(['url', 'email', 'placeholder']
+  .map(type => content.signalPatterns[type].source).join('|'), 'gi');
+
+/**
+ * The default options for {@link pseudoLocalizeText} and {@link transform}.
+ */
+const defaults = {
+  accents: true,
+  expansion: 30,
+  brackets: ['[', ']'],
+  padding: '~',
+  moveElements: false
+};
+
+// replace letters by accented ones, outside of verbatim parts
+function accentuate (text) {
+  const replace = part => part.replace(/[a-zA-Z]/g, c => accents[c] || c);
+  let result = '', last = 0;
+
+  text.replace(verbatim, (match, offset) => {
+    result += replace(text.slice(last, offset)) + match;
+    last = offset + match.length;
+  });
+
+  return result + replace(text.slice(last));
+}
+
+// the padding for a text of the given length
+function padding (length, opt) {
+  const count = Math.ceil(length * opt.expansion / 100);
+  return count > 0 ? ' ' + new Array(count + 1).join(opt.padding) : '';
+}
+
+/**
+ * Pseudo-localizes a single string.
+ *
+ * @param {string} text  The input text.
+ * @param {object} [opt] See {@link ReMarkup#pseudoLocalize}.
+ *
+ * @return {string}  The pseudo-localized text.
+ */
+function pseudoLocalizeText (text, opt) {
+  opt = Object.assign({}, defaults, opt);
+
+  const body = opt.accents ? accentuate(text) : text;
+  return opt.brackets[0] + body + padding(text.length, opt) + opt.brackets[1];
+}
+
+// whether an element is rendered inline
+const isInline = (adapter, node) => adapter.isElement(node) &&
+  segments.blockElements.indexOf(adapter.tagName(node)) === -1;
+
+// reverse the order of the inline child elements of all elements,
+// keeping the text nodes in place
+function moveInlineElements (adapter, node) {
+  const children = adapter.children(node);
+  const inline = children.filter(child => isInline(adapter, child));
+  const slots = inline.map(child => children.indexOf(child));
+  inline.reverse().forEach((child, i) => {
+    children[slots[i]] = child;
+  });
+
+  children.forEach(child => {
+    adapter.insertBefore(node, child, null);
+    moveInlineElements(adapter, child);
+  });
+}
+
+/**
+ * Pseudo-localizes the text nodes and translatable attributes
+ * of an un-marked document in place. Each block element (or the root)
+ * gets a single pair of brackets and padding for all its text.
+ *
+ * @param {object} adapter  The DOM adapter.
+ * @param {DOMNode} root     The document root.
+ * @param {function} isTranslatableAttribute
+ *                           A <code>(name, element) => boolean</code> callback.
+ * @param {object} [opt]     See {@link ReMarkup#pseudoLocalize}.
+ */
+function transform (adapter, root, isTranslatableAttribute, opt) {
+  opt = Object.assign({}, defaults, opt);
+
+  // the text nodes of each block, in document order
+  const blocks = [];
+  const visit = (node, block) => {
+    if (adapter.isText(node)) {
+      if (/\S/.test(adapter.data(node))) {
+        block.push(node);
+      }
+
+      return;
+    }
+
+    if (adapter.isElement(node)) {
+      adapter.attributeNames(node).forEach(name => {
+        if (isTranslatableAttribute(name, node)) {
+          adapter.setAttribute(node, name, pseudoLocalizeText(adapter.getAttribute(node, name), opt));
+        }
+      });
+
+      if (!isInline(adapter, node)) {
+        block = [];
+        blocks.push(block);
+      }
+    } else if (!adapter.isRoot(node)) {
+      return;
+    }
+
+    adapter.children(node).forEach(child => visit(child, block));
+  };
+
+  if (opt.moveElements) {
+    moveInlineElements(adapter, root);
+  }
+
+  const rootBlock = [];
+  blocks.push(rootBlock);
+  visit(root, rootBlock);
+
+  for (let block of blocks.filter(block => block.length > 0)) {
+    const length = block.reduce((sum, node) => sum + adapter.data(node).trim().length, 0);
+    const first = block[0], last = block[block.length - 1];
+
+    for (let node of block) {
+      adapter.setData(node, opt.accents ? accentuate(adapter.data(node)) : adapter.data(node));
+    }
+
+    // the markers are placed inside of the surrounding whitespace
+    adapter.setData(first, adapter.data(first).replace(/^(\s*)/, '$1' + opt.brackets[0]));
+    adapter.setData(last, adapter.data(last).replace(/(\s*)$/,
+      padding(length, opt) + opt.brackets[1] + '$1'));
+  }
+}
+
+module.exports = {
+  defaults: defaults,
+  pseudoLocalizeText: pseudoLocalizeText,
+  transform: transform
+};
+
+})();
@@ -0,0 +1,245 @@
+;(function() {
+'use strict';
+
+const dom = require('./dom');
+const interpolation = require('./interpolation');
+const segments = require('./segments');
+
+/**
+ * Self-contained HTML pages for reviewing element alignments.
+ *
+ * The fragments are not rendered as they are: each element becomes a
+ * <code>&lt;div&gt;</code> (for block-level elements) or a
+ * <code>&lt;span&gt;</code> with its tag name in a
+ * <code>data-tag</code> attribute, and no original attributes are
+ * copied, so that the page is safe to open for any fragment.
+ *
+ * @module remarkup/lib/review
+ * @private
+ */
+
+const style = [
+  'body { font: 15px/1.5 sans-serif; margin: 1em 2em; color: #222; }',
+  'h1 { font-size: 1.4em; } h2 { font-size: 1.1em; margin: 0 0 .5em; }',
+  '.rm-columns { display: flex; gap: 2em; align-items: flex-start; }',
+  '.rm-columns > section { flex: 1; min-width: 0; }',
+  '.rm-fragment { border: 1px solid #ccc; padding: 1em; word-wrap: break-word; }',
+  '.rm-el { outline: 1px solid rgba(0, 0, 0, .25); border-radius: 2px; padding: 0 2px; margin: 1px; }',
+  'div.rm-el { display: block; padding: 2px 4px; margin: 4px 0; }',
+  '.rm-el:empty { display: inline-block; min-width: 1em; min-height: 1em; vertical-align: middle; }',
+  '.rm-void::before { content: "<" attr(data-tag) ">"; font: 11px monospace; color: #555; }',
+  '.rm-placeholder { font: 12px monospace; }',
+  '.rm-unmatched { background: repeating-linear-gradient(45deg, #fdd, #fdd 4px, #fff 4px, #fff 8px);',
+  '  outline: 2px dashed #c00; }',
+  '.rm-mismatch { outline: 2px solid #e67e00; }',
+  '.rm-active { outline: 3px solid #000; }',
+  '[data-tag="em"], [data-tag="i"], [data-tag="cite"] { font-style: italic; }',
+  '[data-tag="strong"], [data-tag="b"], [data-tag="th"] { font-weight: bold; }',
+  '[data-tag="u"], [data-tag="a"] { text-decoration: underline; }',
+  '[data-tag="code"], [data-tag="kbd"], [data-tag="pre"] { font-family: monospace; }',
+  '[data-tag="pre"] { white-space: pre-wrap; }',
+  '.rm-legend span { display: inline-block; padding: 0 .5em; margin-right: 1em; }'
+].join('\n');
+
+// highlights both elements of a pair while one of them is hovered
+const script = [
+  '(function () {',
+  '  var active = [];',
+  '  document.addEventListener("mouseover", function (event) {',
+  '    var e = event.target;',
+  '    while (e && e.nodeType === 1 && !e.hasAttribute("data-pair")) { e = e.parentNode; }',
+  '    var pair = e && e.nodeType === 1 ? e.getAttribute("data-pair") : null;',
+  '    active.forEach(function (e) { e.classList.remove("rm-active"); });',
+  '    active = pair === null ? [] :',
+  '      [].slice.call(document.querySelectorAll("[data-pair=\\"" + pair + "\\"]"));',
+  '    active.forEach(function (e) { e.classList.add("rm-active"); });',
+  '  });',
+  '})();'
+].join('\n');
+
+// a distinct background colour for each pair, by the golden angle
+function pairColour (index) {
+  return 'hsl(' + Math.round(index * 137.508) % 360 + ', 75%, 85%)';
+}
+
+// distances are shown with at most two decimals
+function formatNumber (number) {
+  return String(Math.round(number * 100) / 100);
+}
+
+/**
+ * The cost of the assignment of the child elements of each matched
+ * element, i.e. the sum of the distances of the pairs whose parents are
+ * matched to each other. Pairs that were found by the global fallback
+ * assignment after being moved to another parent are not included.
+ *
+ * @param {object} adapter  The DOM adapter.
+ * @param {object} match    The result of {@link ReMarkup#matchElements}.
+ *
+ * @return {Map}  The costs by original element (and original root).
+ */
+function childAssignmentCosts (adapter, match) {
+  const origToMod = new Map(match.pairs.map(pair =>
+    [match.origElements[pair.original], match.modElements[pair.modified]]));
+  const costs = new Map();
+
+  for (let pair of match.pairs) {
+    const p1 = adapter.parent(match.origElements[pair.original]);
+    const p2 = adapter.parent(match.modElements[pair.modified]);
+
+    if (origToMod.get(p1) === p2 || (adapter.isRoot(p1) && adapter.isRoot(p2))) {
+      costs.set(p1, (costs.get(p1) || 0) + pair.distance);
+    }
+  }
+
+  return costs;
+}
+
+/**
+ * Writes the nodes of a document as annotated <code>&lt;div&gt;</code>
+ * and <code>&lt;span&gt;</code> elements.
+ *
+ * @param {object} adapter         The DOM adapter.
+ * @param {DOMNode} root           The document root.
+ * @param {function} annotate      Returns the <code>{ className, style, title, pair }</code>
+ *                                 annotations of an element.
+ * @param {object} placeholders    The sources of masked placeholders by their IDs.
+ * @param {object} [options]       The parser options of the document.
+ *
+ * @return {string}
+ */
+function renderFragment (adapter, root, annotate, placeholders, options) {
+  const render = node => adapter.children(node).map(child => {
+    if (adapter.isText(child)) {
+      return dom.escape(adapter.data(child));
+    }
+
+    // comments, doctypes and other nodes are left out
+    if (!adapter.isElement(child)) {
+      return '';
+    }
+
+    const name = adapter.tagName(child);
+    const annotations = annotate(child);
+    const tag = segments.blockElements.indexOf(name) !== -1 ? 'div' : 'span';
+    const empty = adapter.children(child).length === 0;
+
+    let className = ('rm-el ' + annotations.className).trim();
+    let content = render(child);
+
+    if (empty && name === interpolation.placeholderTag) {
+      className += ' rm-placeholder';
+      content = dom.escape(placeholders[adapter.getAttribute(child, 'remarkup-id')] || '');
+    } else if (empty && dom.isVoid(adapter, child, options)) {
+      className += ' rm-void';
+    }
+
+    return '<' + tag + ' class="' + className + '" data-tag="' + dom.escape(name) + '"' +
+      (annotations.pair !== null ? ' data-pair="' + annotations.pair + '"' : '') +
+      (annotations.style ? ' style="' + annotations.style + '"' : '') +
+      ' title="' + dom.escape(annotations.title).replace(/\n/g, '&#10;') + '">' +
+      content + '</' + tag + '>' + (name === 'br' ? '<br>' : '');
+  }).join('');
+
+  return render(root);
+}
+
+/**
+ * Creates the review page of an element assignment.
+ *
+ * @param {object} adapter       The DOM adapter.
+ * @param {DOMNode} origDoc      The root of the original document.
+ * @param {DOMNode} modDoc       The root of the modified document.
+ * @param {object} match         The result of {@link ReMarkup#matchElements}.
+ * @param {object} report        The result of {@link ReMarkup#matchReport}.
+ * @param {object} [opt]
+ * @param {string} [opt.title]          The page title.
+ * @param {object} [opt.placeholders]   The sources of masked placeholders.
+ * @param {object} [opt.parserOptions]  The parser options of the documents.
+ *
+ * @return {string}  The HTML page.
+ */
+function page (adapter, origDoc, modDoc, match, report, opt) {
+  opt = opt || {};
+
+  const title = opt.title || 'Element alignment';
+  const placeholders = opt.placeholders || {};
+  const costs = childAssignmentCosts(adapter, match);
+  const tag = element => '<' + adapter.tagName(element) + '>';
+
+  const origAnnotations = new Map(), modAnnotations = new Map();
+
+  match.pairs.forEach((pair, i) => {
+    const e1 = match.origElements[pair.original];
+    const e2 = match.modElements[pair.modified];
+    const details = report.pairs[i];
+
+    const lines = [
+      tag(e1) + ' ↔ ' + tag(e2),
+      'rawElementMetric distance: ' + formatNumber(pair.elementDistance),
+      'child assignment cost: ' + formatNumber(costs.get(e1) || 0)
+    ];
+    if (details.tagMismatch) {
+      lines.push('tag mismatch');
+    }
+    if (details.moved) {
+      lines.push('moved to another parent');
+    }
+
+    const annotations = {
+      className: details.tagMismatch ? 'rm-mismatch' : '',
+      style: 'background-color: ' + pairColour(i),
+      title: lines.join('\n'),
+      pair: i
+    };
+
+    origAnnotations.set(e1, annotations);
+    modAnnotations.set(e2, annotations);
+  });
+
+  const annotate = annotations => element => annotations.get(element) || {
+    className: 'rm-unmatched',
+    style: '',
+    title: tag(element) + '\nnot matched',
+    pair: null
+  };
+
+  const summary = [
+    'Confidence: ' + formatNumber(report.confidence),
+    report.pairs.length + ' matched',
+    report.unmatchedOriginal.length + ' unmatched original',
+    report.unmatchedModified.length + ' unmatched translated',
+    report.tagMismatches.length + ' tag mismatches'
+  ].join(' · ');
+
+  return '<!DOCTYPE html>\n' +
+    '<html>\n<head>\n<meta charset="utf-8">\n' +
+    '<title>' + dom.escape(title) + '</title>\n' +
+    '<style>\n' + style + '\n</style>\n' +
+    '</head>\n<body>\n' +
+    '<h1>' + dom.escape(title) + '</h1>\n' +
+    '<p class="rm-summary">' + summary + '</p>\n' +
+    '<p class="rm-legend">' +
+    '<span style="background-color: ' + pairColour(0) + '">matched (same colour)</span>' +
+    '<span class="rm-el rm-unmatched">unmatched</span>' +
+    '<span class="rm-el rm-mismatch">tag mismatch</span>' +
+    'Hover over an element for its distances.</p>\n' +
+    '<div class="rm-columns">\n' +
+    '<section><h2>Original</h2><div class="rm-fragment rm-original">' +
+    renderFragment(adapter, origDoc, annotate(origAnnotations), placeholders, opt.parserOptions) +
+    '</div></section>\n' +
+    '<section><h2>Translation</h2><div class="rm-fragment rm-translation">' +
+    renderFragment(adapter, modDoc, annotate(modAnnotations), placeholders, opt.parserOptions) +
+    '</div></section>\n' +
+    '</div>\n' +
+    '<script>\n' + script + '\n</script>\n' +
+    '</body>\n</html>\n';
+}
+
+module.exports = {
+  childAssignmentCosts: childAssignmentCosts,
+  renderFragment: renderFragment,
+  page: page
+};
+
+})();
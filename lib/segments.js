@@ -0,0 +1,210 @@
+;(function() {
+'use strict';
+
+const dom = require('./dom');
+const sha1 = require('./sha1');
+
+/**
+ * Splitting of whole HTML documents into translatable segments.
+ *
+ * @module remarkup/lib/segments
+ * @private
+ */
+
+// elements that delimit segments
+const blockElements = [
+  'address', 'article', 'aside', 'blockquote', 'body', 'button', 'caption',
+  'dd', 'details', 'dialog', 'div', 'dl', 'dt', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head',
+  'header', 'hgroup', 'hr', 'html', 'label', 'legend', 'li', 'main', 'nav',
+  'ol', 'optgroup', 'option', 'p', 'pre', 'section', 'summary', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'title', 'tr', 'ul',
+  // SVG elements with text
+  'desc', 'text'
+];
+
+// elements whose content is never translatable
+const ignoredElements = ['script', 'style', 'noscript', 'template'];
+
+// <meta> elements whose content attribute is translatable,
+// by their name or property attribute
+const translatableMeta = [
+  'description', 'keywords', 'application-name', 'apple-mobile-web-app-title',
+  'og:title', 'og:description', 'og:site_name', 'og:image:alt',
+  'twitter:title', 'twitter:description', 'twitter:image:alt'
+];
+
+// languages and scripts which are written from right to left
+const rightToLeftLanguages = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ks', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi'];
+const rightToLeftScripts = ['arab', 'hebr', 'nkoo', 'syrc', 'thaa'];
+
+// whether a node contains any non-whitespace text
+function hasText (adapter, node) {
+  if (adapter.isText(node)) {
+    return /\S/.test(adapter.data(node));
+  }
+
+  if (!adapter.isElement(node) || ignoredElements.indexOf(adapter.tagName(node)) !== -1) {
+    return false;
+  }
+
+  return adapter.children(node).some(child => hasText(adapter, child));
+}
+
+// whether an element contains other block elements
+function hasBlockDescendants (adapter, element) {
+  return dom.childElements(adapter, element).some(child =>
+    blockElements.indexOf(adapter.tagName(child)) !== -1 || hasBlockDescendants(adapter, child));
+}
+
+// whether some text or inline content of an element is
+// not wrapped in a block element
+function hasInlineText (adapter, element) {
+  return adapter.children(element).some(child => {
+    if (adapter.isElement(child) && (blockElements.indexOf(adapter.tagName(child)) !== -1 ||
+        hasBlockDescendants(adapter, child))) {
+      return false;
+    }
+
+    return hasText(adapter, child);
+  });
+}
+
+/**
+ * Collects the translatable segments of a document in document order.
+ *
+ * An element segment is a block element which contains text, but no
+ * other block elements (or which has text outside of its nested block
+ * elements). Attribute segments are translatable attributes of elements
+ * outside of element segments.
+ *
+ * @param {object} adapter  The DOM adapter.
+ * @param {DOMNode} root     The document root.
+ * @param {function} isTranslatableAttribute
+ *                           A <code>(name, element) => boolean</code> callback.
+ *
+ * @return {object[]}  A list of <code>{ id, type, element, attribute }</code>
+ *                     entries, where <code>type</code> is either
+ *                     <code>'element'</code> or <code>'attribute'</code>.
+ */
+function collectSegments (adapter, root, isTranslatableAttribute) {
+  const segments = [];
+  const counts = {};
+
+  const add = (type, element, attribute, content) => {
+    const hash = sha1(type + '\0' + (attribute || '') + '\0' + content).slice(0, 10);
+
+    counts[hash] = (counts[hash] || 0) + 1;
+    segments.push({
+      id: 's' + hash + (counts[hash] > 1 ? '-' + counts[hash] : ''),
+      type: type,
+      element: element,
+      attribute: attribute
+    });
+  };
+
+  const visit = element => {
+    const isRoot = adapter.isRoot(element);
+    if (!isRoot && ignoredElements.indexOf(adapter.tagName(element)) !== -1) {
+      return;
+    }
+
+    if (!isRoot) {
+      adapter.attributeNames(element).forEach(name => {
+        const value = adapter.getAttribute(element, name);
+        if (/\S/.test(value) && isTranslatableAttribute(name, element)) {
+          add('attribute', element, name, value);
+        }
+      });
+    }
+
+    const isBlock = isRoot || blockElements.indexOf(adapter.tagName(element)) !== -1;
+    if (isBlock && hasInlineText(adapter, element)) {
+      add('element', element, null, dom.innerHTML(adapter, element));
+      return;
+    }
+
+    dom.childElements(adapter, element).forEach(visit);
+  };
+
+  visit(root);
+  return segments;
+}
+
+/**
+ * Whether the <code>content</code> attribute of an element is translatable,
+ * i.e. it is a <code>&lt;meta&gt;</code> element with a description, title
+ * or similar <code>name</code> or <code>property</code>.
+ *
+ * @param {object} adapter   The DOM adapter.
+ * @param {DOMNode} element  The target element.
+ *
+ * @return {boolean}
+ */
+function isTranslatableMeta (adapter, element) {
+  if (!element || !adapter.isElement(element) || adapter.tagName(element) !== 'meta') {
+    return false;
+  }
+
+  const name = adapter.getAttribute(element, 'name') || adapter.getAttribute(element, 'property') || '';
+  return translatableMeta.indexOf(name.toLowerCase()) !== -1;
+}
+
+/**
+ * Whether a language is written from right to left.
+ *
+ * @param {string} lang  A language tag like <code>ar</code> or <code>az-Arab</code>.
+ *
+ * @return {boolean}
+ */
+function isRightToLeft (lang) {
+  const subtags = lang.toLowerCase().split(/[-_]/);
+  if (subtags.slice(1).some(subtag => rightToLeftScripts.indexOf(subtag) !== -1)) {
+    return true;
+  }
+
+  return rightToLeftLanguages.indexOf(subtags[0]) !== -1 &&
+    !subtags.slice(1).some(subtag => subtag.length === 4);
+}
+
+/**
+ * Sets the language of a document on its <code>&lt;html&gt;</code> element:
+ * the <code>lang</code> attribute (and <code>xml:lang</code>, if present),
+ * <code>dir="rtl"</code> for right-to-left languages (or
+ * <code>dir="ltr"</code>, if a direction was set before) and
+ * the <code>og:locale</code> meta property, if present.
+ *
+ * @param {object} adapter  The DOM adapter.
+ * @param {DOMNode} root     The document root.
+ * @param {string} lang      The language tag.
+ */
+function setLanguage (adapter, root, lang) {
+  const html = adapter.find(root, 'html')[0];
+  if (!html) {
+    return;
+  }
+
+  adapter.setAttribute(html, 'lang', lang);
+  if (typeof adapter.getAttribute(html, 'xml:lang') !== 'undefined') {
+    adapter.setAttribute(html, 'xml:lang', lang);
+  }
+
+  if (isRightToLeft(lang)) {
+    adapter.setAttribute(html, 'dir', 'rtl');
+  } else if (typeof adapter.getAttribute(html, 'dir') !== 'undefined') {
+    adapter.setAttribute(html, 'dir', 'ltr');
+  }
+
+  adapter.find(root, 'meta[property="og:locale"]').forEach(meta =>
+    adapter.setAttribute(meta, 'content', lang.replace(/-/g, '_')));
+}
+
+module.exports = {
+  blockElements: blockElements,
+  collectSegments: collectSegments,
+  isTranslatableMeta: isTranslatableMeta,
+  isRightToLeft: isRightToLeft,
+  setLanguage: setLanguage
+};
+
+})();
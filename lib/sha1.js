@@ -0,0 +1,115 @@
+;(function() {
+'use strict';
+
+/**
+ * SHA-1 of strings, for content hashes and segment IDs that are the same
+ * in browsers, where the <code>crypto</code> module of Node is missing.
+ *
+ * @module remarkup/lib/sha1
+ * @private
+ */
+
+// the UTF-8 bytes of a string
+function utf8 (string) {
+  const bytes = [];
+
+  for (let i = 0; i < string.length; ++i) {
+    let c = string.charCodeAt(i);
+
+    // combine surrogate pairs; lone surrogates become U+FFFD, like in Node
+    if (c >= 0xd800 && c <= 0xdbff && i + 1 < string.length &&
+        string.charCodeAt(i + 1) >= 0xdc00 && string.charCodeAt(i + 1) <= 0xdfff) {
+      c = 0x10000 + ((c - 0xd800) << 10) + (string.charCodeAt(++i) - 0xdc00);
+    } else if (c >= 0xd800 && c <= 0xdfff) {
+      c = 0xfffd;
+    }
+
+    if (c < 0x80) {
+      bytes.push(c);
+    } else if (c < 0x800) {
+      bytes.push(0xc0 | c >> 6, 0x80 | c & 0x3f);
+    } else if (c < 0x10000) {
+      bytes.push(0xe0 | c >> 12, 0x80 | c >> 6 & 0x3f, 0x80 | c & 0x3f);
+    } else {
+      bytes.push(0xf0 | c >> 18, 0x80 | c >> 12 & 0x3f, 0x80 | c >> 6 & 0x3f, 0x80 | c & 0x3f);
+    }
+  }
+
+  return bytes;
+}
+
+const rotate = (x, n) => x << n | x >>> (32 - n);
+
+/**
+ * Computes the SHA-1 hash of the UTF-8 encoding of a string.
+ *
+ * @param {string} string  The input string.
+ *
+ * @return {string}  The hex-encoded hash.
+ */
+function sha1 (string) {
+  const bytes = utf8(string);
+  const length = bytes.length;
+
+  // padding: a 1 bit, zeros, and the length in bits as a 64-bit number
+  bytes.push(0x80);
+  while (bytes.length % 64 !== 56) {
+    bytes.push(0);
+  }
+
+  const high = Math.floor(length / 0x20000000), low = length * 8 >>> 0;
+  bytes.push(high >>> 24, high >>> 16 & 0xff, high >>> 8 & 0xff, high & 0xff,
+    low >>> 24, low >>> 16 & 0xff, low >>> 8 & 0xff, low & 0xff);
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const w = new Array(80);
+
+  for (let offset = 0; offset < bytes.length; offset += 64) {
+    for (let i = 0; i < 16; ++i) {
+      const j = offset + i * 4;
+      w[i] = bytes[j] << 24 | bytes[j + 1] << 16 | bytes[j + 2] << 8 | bytes[j + 3];
+    }
+
+    for (let i = 16; i < 80; ++i) {
+      w[i] = rotate(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+    }
+
+    let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4];
+
+    for (let i = 0; i < 80; ++i) {
+      let f, k;
+      if (i < 20) {
+        f = b & c | ~b & d;
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = b & c | b & d | c & d;
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+
+      const t = (rotate(a, 5) + f + e + k + w[i]) | 0;
+      e = d;
+      d = c;
+      c = rotate(b, 30);
+      b = a;
+      a = t;
+    }
+
+    h[0] = (h[0] + a) | 0;
+    h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0;
+    h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0;
+  }
+
+  return h.map(x => ('00000000' + (x >>> 0).toString(16)).slice(-8)).join('');
+}
+
+module.exports = sha1;
+
+})();
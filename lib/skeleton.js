@@ -0,0 +1,136 @@
+;(function() {
+'use strict';
+
+const dom = require('./dom');
+const sha1 = require('./sha1');
+
+/**
+ * Serializable skeletons, which store everything that
+ * {@link ReMarkup#reMarkup} needs to know about an original fragment.
+ *
+ * @module remarkup/lib/skeleton
+ * @private
+ */
+
+// the version of the skeleton format
+const version = 1;
+
+/**
+ * The error thrown by {@link ReMarkup#reMarkupSkeleton} when a skeleton
+ * does not belong to the current original fragment, or is inconsistent.
+ *
+ * @param {string} message  The error message.
+ * @param {object} skeleton The skeleton.
+ *
+ * @constructor ReMarkup.StaleSkeletonError
+ * @public
+ */
+class StaleSkeletonError extends Error {
+  constructor(message, skeleton) {
+    super(message);
+
+    this.name = 'StaleSkeletonError';
+    this.skeleton = skeleton;
+  }
+}
+
+/**
+ * Computes the content hash of an HTML fragment.
+ *
+ * @param {string} html  The HTML fragment.
+ *
+ * @return {string}  A hex-encoded SHA-1 hash.
+ */
+function hash (html) {
+  return sha1(html);
+}
+
+/**
+ * Creates the skeleton of an original fragment.
+ *
+ * @param {object} adapter         The DOM adapter.
+ * @param {string} original        The original HTML fragment.
+ * @param {object} loaded          The result of {@link ReMarkup#loadOriginal}.
+ * @param {DOMNode} unMarked       The un-marked copy of the loaded root.
+ * @param {object} options         The parser options.
+ *
+ * @return {object}  A JSON-serializable skeleton.
+ */
+function create (adapter, original, loaded, unMarked, options) {
+  const origElements = dom.elements(adapter, loaded.root, options);
+  const unMarkedElements = dom.elements(adapter, unMarked, options);
+
+  // only the attributes that the element filters removed or changed are stored
+  const elements = origElements.map((e, i) => {
+    const stripped = {};
+
+    adapter.attributeNames(e).forEach(name => {
+      const value = adapter.getAttribute(e, name);
+      if (adapter.getAttribute(unMarkedElements[i], name) !== value) {
+        stripped[name] = value;
+      }
+    });
+
+    return { tagName: adapter.tagName(e), attributes: stripped };
+  });
+
+  return {
+    version: version,
+    hash: hash(original),
+    source: adapter.html(unMarked, options),
+    elements: elements,
+    placeholders: Object.assign({}, loaded.placeholders)
+  };
+}
+
+/**
+ * Rebuilds the original document from a skeleton.
+ *
+ * @param {object} adapter   The DOM adapter.
+ * @param {object} skeleton  A skeleton from {@link create}.
+ * @param {function} load    Parses an HTML string into a document root.
+ * @param {object} options   The parser options.
+ *
+ * @return {object}  Like the result of {@link ReMarkup#loadOriginal}.
+ */
+function restore (adapter, skeleton, load, options) {
+  if (!skeleton || skeleton.version !== version) {
+    throw new TypeError('Unsupported skeleton version: ' + (skeleton && skeleton.version));
+  }
+
+  const root = load(skeleton.source);
+  const elements = dom.elements(adapter, root, options);
+
+  if (elements.length !== skeleton.elements.length ||
+      elements.some((e, i) => adapter.tagName(e) !== skeleton.elements[i].tagName)) {
+    throw new StaleSkeletonError('Skeleton elements do not match its source', skeleton);
+  }
+
+  elements.forEach((e, i) => {
+    const attributes = skeleton.elements[i].attributes;
+    Object.keys(attributes).forEach(name => adapter.setAttribute(e, name, attributes[name]));
+  });
+
+  return { root: root, placeholders: Object.assign({}, skeleton.placeholders) };
+}
+
+/**
+ * Whether a skeleton was created from a different original fragment.
+ *
+ * @param {object} skeleton  A skeleton from {@link create}.
+ * @param {string} original  The current original HTML fragment.
+ *
+ * @return {boolean}
+ */
+function isStale (skeleton, original) {
+  return skeleton.hash !== hash(original);
+}
+
+module.exports = {
+  StaleSkeletonError: StaleSkeletonError,
+  create: create,
+  restore: restore,
+  isStale: isStale
+};
+
+})();
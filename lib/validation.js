@@ -0,0 +1,216 @@
+;(function() {
+'use strict';
+
+const dom = require('./dom');
+
+/**
+ * Validation of modified fragments against their originals.
+ *
+ * @module remarkup/lib/validation
+ * @private
+ */
+
+// attributes which contain URLs
+const urlAttributes = [
+  'action', 'background', 'cite', 'data', 'formaction', 'href', 'icon',
+  'lowsrc', 'manifest', 'poster', 'src', 'xlink:href'
+];
+
+/**
+ * The error thrown by {@link ReMarkup#reMarkup} in strict mode.
+ *
+ * @param {object[]} violations  The list of violations.
+ *
+ * @constructor ReMarkup.ValidationError
+ * @public
+ */
+class ValidationError extends Error {
+  constructor(violations) {
+    super('Modified fragment failed validation: ' +
+      violations.map(v => v.message).join('; '));
+
+    this.name = 'ValidationError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Whether an attribute can be used for injecting scripts,
+ * i.e. is an event handler or contains a <code>javascript:</code>,
+ * <code>vbscript:</code> or non-image <code>data:</code> URL.
+ *
+ * @param {string} name   The attribute name.
+ * @param {string} value  The attribute value.
+ *
+ * @return {boolean}
+ */
+function isDangerousAttribute (name, value) {
+  name = name.toLowerCase();
+  value = String(value || '');
+
+  if (/^on/.test(name)) {
+    return true;
+  }
+
+  // browsers ignore whitespace and control characters in URL schemes
+  const normalized = value.replace(/[\u0000- ]+/g, '').toLowerCase();
+
+  if (name === 'style') {
+    return /expression\(|url\((['"]?)(javascript|vbscript):/.test(normalized);
+  }
+
+  if (name === 'srcset') {
+    return value.split(',').some(candidate => isDangerousAttribute('src', candidate.trim()));
+  }
+
+  if (urlAttributes.indexOf(name) === -1) {
+    return false;
+  }
+
+  if (/^data:/.test(normalized)) {
+    return !/^data:image\/(png|gif|jpe?g|webp|bmp);/.test(normalized);
+  }
+
+  return /^(javascript|vbscript):/.test(normalized);
+}
+
+/**
+ * Checks a modified document against the original one.
+ * Dangerous attributes are removed from the modified document
+ * when <code>policy.sanitize</code> is set.
+ *
+ * @param {object} adapter      The DOM adapter.
+ * @param {DOMNode} origDoc     The root of the original document.
+ * @param {DOMNode} modDoc      The root of the modified document.
+ * @param {object} policy       See {@link ReMarkup}.
+ * @param {AttributeSet} keepAttributes  The attributes that translators may modify.
+ * @param {object} options      The parser options.
+ *
+ * @return {object[]}  A list of violations.
+ */
+function validate (adapter, origDoc, modDoc, policy, keepAttributes, options) {
+  const violations = [];
+  const origElements = dom.elements(adapter, origDoc, options);
+  const modElements  = dom.elements(adapter, modDoc,  options);
+
+  const countTags = elements => {
+    const counts = {};
+    for (let e of elements) {
+      const tagName = adapter.tagName(e);
+      counts[tagName] = (counts[tagName] || 0) + 1;
+    }
+
+    return counts;
+  };
+
+  const origCounts = countTags(origElements);
+  const modCounts  = countTags(modElements);
+
+  // whether an attribute is present on an original element with the same tag name
+  const inOriginal = (tagName, name, value) => origElements.some(e =>
+    adapter.tagName(e) === tagName && adapter.getAttribute(e, name) === value);
+
+  // whether translators may modify an attribute of an element, where
+  // scoped rules are matched against the original elements with the same
+  // tag name, since the modified ones may have lost the selected attributes
+  const isKept = (e, name) => {
+    const tagName = adapter.tagName(e);
+    const candidates = origElements.filter(o => adapter.tagName(o) === tagName);
+
+    return (candidates.length > 0 ? candidates : [e]).some(o => keepAttributes.test(name, e, o));
+  };
+
+  if (policy.newTags) {
+    for (let e of modElements) {
+      const tagName = adapter.tagName(e);
+      if (!origCounts[tagName]) {
+        violations.push({
+          type: 'new-tag',
+          tagName: tagName,
+          message: 'New element <' + tagName + '>'
+        });
+      }
+    }
+  }
+
+  if (policy.elementCount) {
+    Object.keys(Object.assign({}, origCounts, modCounts)).forEach(tagName => {
+      if ((origCounts[tagName] || 0) !== (modCounts[tagName] || 0)) {
+        violations.push({
+          type: 'element-count',
+          tagName: tagName,
+          original: origCounts[tagName] || 0,
+          modified: modCounts[tagName] || 0,
+          message: 'Number of <' + tagName + '> elements changed from ' +
+            (origCounts[tagName] || 0) + ' to ' + (modCounts[tagName] || 0)
+        });
+      }
+    });
+  }
+
+  for (let e of modElements) {
+    const tagName = adapter.tagName(e);
+
+    adapter.attributeNames(e).forEach(name => {
+      const value = adapter.getAttribute(e, name);
+      if (inOriginal(tagName, name, value)) {
+        return;
+      }
+
+      if (policy.sanitize && isDangerousAttribute(name, value)) {
+        adapter.removeAttribute(e, name);
+        violations.push({
+          type: 'dangerous-attribute',
+          tagName: tagName,
+          attribute: name,
+          value: value,
+          message: 'Dangerous attribute ' + name + ' on <' + tagName + '>'
+        });
+
+        return;
+      }
+
+      if (policy.newAttributes && !isKept(e, name)) {
+        violations.push({
+          type: 'new-attribute',
+          tagName: tagName,
+          attribute: name,
+          value: value,
+          message: 'New attribute ' + name + ' on <' + tagName + '>'
+        });
+      }
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Removes the dangerous attributes of an element.
+ * (See {@link isDangerousAttribute}).
+ *
+ * @param {object} adapter   The DOM adapter.
+ * @param {DOMNode} element  The target element.
+ *
+ * @return {DOMNode}  The target element.
+ */
+function sanitize (adapter, element) {
+  if (adapter.isElement(element)) {
+    adapter.attributeNames(element).forEach(name => {
+      if (isDangerousAttribute(name, adapter.getAttribute(element, name))) {
+        adapter.removeAttribute(element, name);
+      }
+    });
+  }
+
+  return element;
+}
+
+module.exports = {
+  ValidationError: ValidationError,
+  isDangerousAttribute: isDangerousAttribute,
+  validate: validate,
+  sanitize: sanitize
+};
+
+})();
@@ -0,0 +1,213 @@
+;(function() {
+'use strict';
+
+const dom = require('./dom');
+const interpolation = require('./interpolation');
+
+/**
+ * XLIFF 2.0 export and import on top of {@link ReMarkup#unMarkup}
+ * and {@link ReMarkup#reMarkup}.
+ *
+ * @module remarkup/lib/xliff
+ * @private
+ */
+
+const namespace = 'urn:oasis:names:tc:xliff:document:2.0';
+
+/**
+ * Converts a list of HTML fragments into an XLIFF 2.0 document.
+ *
+ * @param {ReMarkup} rm  The instance used for un-marking the fragments.
+ * @param {string[]|object} fragments
+ *                       A list of HTML fragments, or an object
+ *                       mapping unit IDs to HTML fragments.
+ * @param {object} [opt]
+ * @param {string} [opt.srcLang]  The source language. Defaults to <code>rm.srcLang</code>.
+ * @param {string} [opt.trgLang]  The target language.
+ *
+ * @return {string}  The XLIFF document.
+ */
+function exportXLIFF (rm, fragments, opt) {
+  opt = opt || {};
+
+  const originals = unitOriginals(fragments);
+  const units = Object.keys(originals).map(id => exportUnit(rm, id, originals[id]));
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<xliff xmlns="' + namespace + '" version="2.0" ' +
+      'srcLang="' + dom.escape(opt.srcLang || rm.srcLang || 'en') + '"' +
+      (opt.trgLang ? ' trgLang="' + dom.escape(opt.trgLang) + '"' : '') + '>\n' +
+    '<file id="f1">\n' +
+    units.join('') +
+    '</file>\n' +
+    '</xliff>\n';
+}
+
+// the HTML fragments by their unit IDs
+function unitOriginals (fragments) {
+  if (!Array.isArray(fragments)) {
+    return fragments;
+  }
+
+  const originals = {};
+  fragments.forEach((fragment, i) => {
+    originals['u' + (i + 1)] = fragment;
+  });
+
+  return originals;
+}
+
+// convert a single HTML fragment into the <source> and the
+// list of <originalData> contents of an XLIFF <unit>
+function convertUnit (rm, original) {
+  const adapter = rm.adapter;
+  const loaded = rm.loadOriginal(original);
+  const origRoot = loaded.root;
+  const unMarked = rm.unMarkupRecurse(adapter.clone(origRoot, true));
+
+  const origElements = dom.elements(adapter, origRoot, rm.parserOptions);
+  const unMarkedElements = dom.elements(adapter, unMarked, rm.parserOptions);
+
+  const data = [];
+  const addData = content => {
+    data.push(content);
+    return 'd' + data.length;
+  };
+
+  const serialize = node => adapter.children(node).map(child => {
+    if (adapter.isText(child)) {
+      return dom.escape(adapter.data(child));
+    }
+
+    const n = data.length + 1;
+    if (!adapter.isElement(child)) {
+      return '<ph id="c' + n + '" dataRef="' + addData(adapter.html(child)) + '"/>';
+    }
+
+    // interpolation placeholders are stored as their original expressions
+    if (adapter.tagName(child) === interpolation.placeholderTag) {
+      const id = adapter.getAttribute(child, 'remarkup-id');
+      return '<ph id="' + dom.escape(id) + '" dataRef="' + addData(loaded.placeholders[id]) + '"/>';
+    }
+
+    const index = unMarkedElements.indexOf(child) + 1;
+    const parts = dom.tagParts(adapter, origElements[index - 1], rm.parserOptions);
+
+    if (adapter.children(child).length === 0) {
+      return '<ph id="' + index + '" dataRef="' + addData(parts[0] + parts[1]) + '"/>';
+    }
+
+    return '<pc id="' + index + '" ' +
+      'dataRefStart="' + addData(parts[0]) + '" ' +
+      'dataRefEnd="' + addData(parts[1]) + '">' +
+      serialize(child) +
+      '</pc>';
+  }).join('');
+
+  return { source: serialize(unMarked), data: data };
+}
+
+// convert a single HTML fragment into an XLIFF <unit>
+function exportUnit (rm, id, original) {
+  const unit = convertUnit(rm, original);
+  const data = unit.data.map((content, i) =>
+    '<data id="d' + (i + 1) + '">' + dom.escape(content) + '</data>\n');
+
+  return '<unit id="' + dom.escape(id) + '">\n' +
+    (data.length > 0 ? '<originalData>\n' + data.join('') + '</originalData>\n' : '') +
+    '<segment>\n' +
+    '<source>' + unit.source + '</source>\n' +
+    '</segment>\n' +
+    '</unit>\n';
+}
+
+/**
+ * Reads the translated units from an XLIFF 2.0 document, as generated
+ * by {@link exportXLIFF}, and re-adds the original markup to them.
+ *
+ * The inline codes are replaced by the tags of the original fragments,
+ * not by the <code>&lt;originalData&gt;</code> of the document, in which
+ * translators could have added attributes or elements.
+ *
+ * @param {ReMarkup} rm  The instance used for re-marking the translations.
+ * @param {string[]|object} fragments
+ *                       The original HTML fragments, as passed to {@link exportXLIFF}.
+ * @param {string} xliff  The XLIFF document.
+ *
+ * @return {object}  An object mapping unit IDs to translated HTML fragments.
+ *                   Units without a <code>&lt;target&gt;</code> are omitted.
+ */
+function importXLIFF (rm, fragments, xliff) {
+  const adapter = rm.adapter;
+  const options = { xmlMode: true };
+  const doc = adapter.parse(xliff, options);
+  const originals = unitOriginals(fragments);
+  const result = {};
+
+  adapter.find(doc, 'unit', options).forEach(unit => {
+    const id = adapter.getAttribute(unit, 'id');
+    const target = adapter.find(unit, 'segment > target', options)[0];
+    if (!target) {
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(originals, id)) {
+      throw new Error('Unknown XLIFF unit: ' + id);
+    }
+
+    const original = originals[id];
+    const data = {};
+    convertUnit(rm, original).data.forEach((content, i) => {
+      data['d' + (i + 1)] = content;
+    });
+
+    const translated = unitToHTML(adapter, target, data);
+
+    // strip the attributes again so that the translation
+    // looks like the output of unMarkup
+    const modified = adapter.html(rm.unMarkupRecurse(rm.load(translated)), rm.parserOptions);
+
+    result[id] = rm.reMarkup(original, modified);
+  });
+
+  return result;
+}
+
+// replace the inline codes of a <target> element by their original data,
+// except for interpolation placeholders, which are kept as placeholder elements
+function unitToHTML (adapter, node, data) {
+  return adapter.children(node).map(child => {
+    if (adapter.isText(child)) {
+      return dom.escape(adapter.data(child));
+    }
+
+    if (!adapter.isElement(child)) {
+      return '';
+    }
+
+    const attribute = name => adapter.getAttribute(child, name);
+
+    switch (adapter.tagName(child)) {
+      case 'ph':
+        if (/^ph\d+$/.test(attribute('id'))) {
+          return '<' + interpolation.placeholderTag + ' remarkup-id="' + attribute('id') + '">' +
+            '</' + interpolation.placeholderTag + '>';
+        }
+
+        return data[attribute('dataRef')] || '';
+      case 'pc':
+        return (data[attribute('dataRefStart')] || '') +
+          unitToHTML(adapter, child, data) +
+          (data[attribute('dataRefEnd')] || '');
+      default:
+        return unitToHTML(adapter, child, data);
+    }
+  }).join('');
+}
+
+module.exports = {
+  exportXLIFF: exportXLIFF,
+  importXLIFF: importXLIFF
+};
+
+})();
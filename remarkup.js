@@ -1,21 +1,57 @@
 ;(function() {
 'use strict';
 
-const $ = require('cheerio');
 const munkres = require('munkres-js');
 const levenshtein = require('levenshtein-sse');
 const assert = require('assert');
+const dom = require('./lib/dom');
+const xliff = require('./lib/xliff');
+const segments = require('./lib/segments');
+const validation = require('./lib/validation');
+const content = require('./lib/content');
+const mergeStrategies = require('./lib/merge');
+const interpolation = require('./lib/interpolation');
+const skeletons = require('./lib/skeleton');
+const pseudo = require('./lib/pseudo');
+const formatting = require('./lib/formatting');
+const markdown = require('./lib/markdown');
+const calibration = require('./lib/calibrate');
+const batch = require('./lib/batch');
+const review = require('./lib/review');
+const cheerioAdapter = require('./lib/adapters/cheerio');
+const domAdapter = require('./lib/adapters/dom');
+
+// output formats of unMarkup (and input formats of reMarkup)
+const formats = ['html', 'tokens', 'markdown'];
+
+// elements that are hidden from translators by default, i.e. those that
+// are marked with translate="no" (inline SVG is translatable like HTML)
+const defaultOpaqueElements = ['[translate="no"]'];
+
+// the largest number of distances for which minimalAssignment() always
+// finds the optimal assignment
+const exactAssignmentSize = 50 * 50;
 
 /**
  * Internally used class for specifying sets of attributes.
  * Wraps around a list, whose elements can be strings (e.g. "href"),
- * regexes (/^data-/) or functions (name, element) => ...
+ * regexes (/^data-/), functions (name, element) => ... or rules
+ * { selector, attributes, exclude }, which scope a list of the
+ * former to the elements matching a CSS selector. Rules with
+ * exclude: true remove attributes from the set, overriding all other
+ * entries. Selectors are matched against the original element.
+ * Elements are tested as nodes of the DOM adapter and passed
+ * to the functions wrapped like for element filters.
  */
 class AttributeSet {
-  constructor(initialElements) {
+  constructor(initialElements, adapter, parserOptions) {
     this.functions = [];
     this.regexps = [];
     this.strings = [];
+    this.rules = [];
+    this.exclusions = [];
+    this.adapter = adapter;
+    this.parserOptions = parserOptions;
     
     this.add(initialElements || []);
   }
@@ -34,28 +70,65 @@ class AttributeSet {
         return this.functions.push(e);
       }
       
+      if (!(e instanceof RegExp)) {
+        const rule = {
+          selector: e.selector || null,
+          attributes: new AttributeSet(e.attributes, this.adapter, this.parserOptions)
+        };
+        
+        return (e.exclude ? this.exclusions : this.rules).push(rule);
+      }
+      
       this.regexps.push(e);
     });
   }
   
   test(string, element, originalElement) {
-    if (this.strings.indexOf(string) !== -1) {
+    if (this.exclusions.some(rule => this.testRule(rule, string, element, originalElement))) {
+      return false;
+    }
+    
+    // prefixed names are also tested with the conventional prefix
+    // of their namespace, e.g. xlink:href for l:href
+    const names = [string];
+    const qualified = element ? dom.qualifiedName(this.adapter, string, element) : string;
+    if (qualified !== string) {
+      names.push(qualified);
+    }
+    
+    if (names.some(name => this.strings.indexOf(name) !== -1)) {
       return true;
     }
     
     for (let r of this.regexps) {
-      if (r.test(string)) {
+      if (names.some(name => r.test(name))) {
         return true;
       }
     }
     
+    const wrap = node => node && this.adapter.wrap(node, this.parserOptions);
     for (let fn of this.functions) {
-      if (fn.call(element, string, originalElement, element)) {
+      if (fn.call(wrap(element), string, wrap(originalElement), wrap(element))) {
         return true;
       }
     }
     
-    return false;
+    return this.rules.some(rule => this.testRule(rule, string, element, originalElement));
+  }
+  
+  testRule(rule, string, element, originalElement) {
+    if (!rule.attributes.test(string, element, originalElement)) {
+      return false;
+    }
+    
+    if (!rule.selector) {
+      return true;
+    }
+    
+    // scoped rules never apply without an element
+    const target = originalElement || element;
+    return !!target && this.adapter.isElement(target) &&
+      this.adapter.matches(target, rule.selector, this.parserOptions);
   }
 }
 
@@ -68,7 +141,8 @@ class AttributeSet {
  *       Options for matching and modifying the HTML elements
  * @param {function[]} [opt.elementFilters]  
  *       An array of callbacks for modifying the
- *       HTML elements (passed as DOM nodes).
+ *       HTML elements (passed as DOM nodes, wrapped by the DOM adapter),
+ *       which are called with the instance as <code>this</code>.
  *       The default is a {@link ReMarkup.defaultElementFilter}
  *       which preserves <code>id</code> and <code>translate-*</code>
  *       attributes, as well as all semantically relevant attributes.
@@ -77,15 +151,142 @@ class AttributeSet {
  * @param {function[]} [opt.additionalElementFilters]
  *       Like <code>elementFilters</code>, but appended in addition
  *       to the standard filters.
+ * @param {Array} [opt.additionalKeepAttributes]
+ *       Strings, regexes and functions for attributes that the default
+ *       element filter keeps in addition to the semantic ones.
+ *       Entries can also be rules <code>{ selector, attributes, exclude }</code>,
+ *       which only apply to the original elements matching a CSS
+ *       <code>selector</code> (if given), like
+ *       <code>{ selector: 'a.external', attributes: [/^data-track-/] }</code>.
+ *       Rules with <code>exclude: true</code> override all other entries,
+ *       including the built-in ones, so that e.g.
+ *       <code>{ exclude: true, attributes: ['remarkup-internal'] }</code>
+ *       removes an attribute that <code>/^remarkup-.+$/</code> keeps.
+ *       The same list is used by {@link ReMarkup#reMarkup} and the metric.
  * @param {number} [opt.nonexistentChildDistance]
  *       The distance that will be used when an child
  *       element is present in the original tree
  *       but not the modified one or vice versa.
  *       The default value is 10.
  *       (For {@link ReMarkup#reMarkup}).
+ * @param {object} [opt.weights]
+ *       Weights for the element metrics, overriding single
+ *       {@link ReMarkup.defaultWeights}. {@link ReMarkup.calibrate}
+ *       finds good weights for a corpus of translations.
  * @param {function} [opt.rawElementMetric]
  *       A distance function for DOM HTML elements.
  *       The default is {@link ReMarkup.defaultRawElementMetric}.
+ * @param {object[]} [opt.mergeRules]
+ *       Rules for merging original and translated attribute values
+ *       in {@link ReMarkup#reMarkup}. By default, attributes that
+ *       {@link ReMarkup#unMarkup} keeps are taken from the translation
+ *       and all other attributes from the original. Each rule is an object
+ *       <code>{ attributes, tags, merge }</code>, where <code>attributes</code>
+ *       is a list of strings, regexes, functions and rules (like for the kept
+ *       attributes), <code>tags</code> is an optional list of tag names
+ *       of the original elements and <code>merge</code> is either the name
+ *       of one of the {@link ReMarkup.mergeStrategies} or a function
+ *       with the same signature, which is called with the ReMarkup
+ *       instance as <code>this</code>. The first matching rule is used.
+ * @param {string} [opt.srcLang]
+ *       The language of the original fragments, like <code>en</code>
+ *       or <code>de-AT</code>, for the <code>localePath</code> merge
+ *       strategy and {@link ReMarkup#exportXLIFF}. Defaults to <code>en</code>.
+ * @param {boolean|object} [opt.strict]
+ *       Enables strict mode, in which {@link ReMarkup#reMarkup} checks
+ *       the modified fragment against the original before copying
+ *       attributes. Pass <code>true</code> for the default policy, or
+ *       an object which can disable single checks:
+ * @param {boolean} [opt.strict.newTags]
+ *       Reject elements whose tag names do not appear in the original.
+ * @param {boolean} [opt.strict.elementCount]
+ *       Reject changed numbers of elements.
+ * @param {boolean} [opt.strict.newAttributes]
+ *       Reject attributes that are not kept by {@link ReMarkup#unMarkup}
+ *       and not present in the original.
+ * @param {boolean} [opt.strict.sanitize]
+ *       Remove and reject dangerous attributes and URLs that are not
+ *       present in the original. (See {@link ReMarkup.isDangerousAttribute}).
+ * @param {string} [opt.strict.action]
+ *       Either <code>'throw'</code> (the default), which throws a
+ *       {@link ReMarkup.ValidationError}, or <code>'report'</code>, which
+ *       lists the violations in the report of {@link ReMarkup#reMarkup}.
+ * @param {string} [opt.droppedElements]
+ *       What {@link ReMarkup#reMarkup} does with original elements
+ *       that have no counterpart in the modified fragment. Either
+ *       <code>'drop'</code> (the default) or <code>'restore'</code>, which
+ *       re-inserts elements without text content (like <code>&lt;br&gt;</code>,
+ *       <code>&lt;img&gt;</code> or icons) at the position inferred from
+ *       their matched neighbours.
+ * @param {string} [opt.surplusElements]
+ *       What {@link ReMarkup#reMarkup} does with modified elements that
+ *       have no counterpart in the original fragment. Either
+ *       <code>'keep'</code> (the default), <code>'unwrap'</code>, which
+ *       replaces them by their contents, or <code>'report'</code>, which
+ *       keeps them and lists them as violations in the report.
+ * @param {string} [opt.preset]
+ *       The name of one of the {@link ReMarkup.presets} for template
+ *       languages (<code>'angular'</code>, <code>'vue'</code> or
+ *       <code>'handlebars'</code>), whose options are used as defaults.
+ * @param {Array} [opt.interpolation]
+ *       Regexes, or functions returning lists of <code>[start, end]</code>
+ *       ranges, for interpolation expressions in text nodes.
+ *       {@link ReMarkup#unMarkup} replaces these by placeholder elements
+ *       and {@link ReMarkup#reMarkup} restores them verbatim, after
+ *       verifying that every placeholder came back exactly once. Missing
+ *       or duplicated placeholders are listed in the report, or throw a
+ *       {@link ReMarkup.ValidationError} in strict mode.
+ * @param {function} [opt.boundAttribute]
+ *       A function that returns the name of the attribute that a bound
+ *       attribute like <code>:title</code> sets (i.e. <code>title</code>),
+ *       or <code>null</code>. Bound attributes are kept by
+ *       {@link ReMarkup#unMarkup} if the attribute they set is semantic,
+ *       and always restored from the original by {@link ReMarkup#reMarkup}.
+ * @param {string[]} [opt.opaqueElements]
+ *       CSS selectors for elements that translators must not modify.
+ *       {@link ReMarkup#unMarkup} replaces each of them (including its
+ *       contents) by a placeholder element and {@link ReMarkup#reMarkup}
+ *       restores its source code byte for byte, like for interpolation
+ *       expressions. The default is <code>[translate="no"]</code>;
+ *       selectors like <code>script</code>, <code>style</code>,
+ *       <code>code</code> or <code>pre</code> can be added. Elements
+ *       with a <code>translate="yes"</code> attribute are never opaque.
+ * @param {boolean} [opt.xml]
+ *       Enables XML mode for XHTML and SVG documents, which parses and
+ *       serializes with the <code>xmlMode</code> parser option: Tag and
+ *       attribute names keep their case, CDATA sections are preserved and
+ *       empty elements are written as self-closing tags, unless they have
+ *       an end tag in the source. Namespace declarations are kept by
+ *       {@link ReMarkup#unMarkup}, and prefixed attribute names are
+ *       matched by their namespace, so that e.g. <code>xlink:href</code>
+ *       in the kept attributes also matches <code>l:href</code> when
+ *       <code>l</code> is bound to the XLink namespace.
+ * @param {object} [opt.parserOptions]
+ *       Options for the HTML parser, e.g.
+ *       <code>{ lowerCaseAttributeNames: false }</code>.
+ * @param {object} [opt.adapter]
+ *       The DOM implementation that documents are built with, one of the
+ *       {@link ReMarkup.adapters}. The default is
+ *       {@link ReMarkup.defaultAdapter}, i.e. cheerio.
+ * @param {boolean} [opt.preserveFormatting]
+ *       Makes {@link ReMarkup#reMarkup} keep the formatting of the original
+ *       source: Unchanged attributes of matched elements are written in
+ *       their original order, quoting and entity form, text is encoded with
+ *       as few entities as possible and whitespace that
+ *       {@link ReMarkup.stripSpaces} collapsed is restored next to matched
+ *       elements and in texts that were not changed.
+ *       (Not available for skeletons, which lack the original source.)
+ * @param {string} [opt.format]
+ *       The format of the strings that {@link ReMarkup#unMarkup}
+ *       generates and {@link ReMarkup#reMarkup} accepts as
+ *       modified strings. Either <code>'html'</code> (the default),
+ *       <code>'tokens'</code>, which replaces all elements by
+ *       numbered placeholder tokens like <code>&lt;1&gt;…&lt;/1&gt;</code>
+ *       and <code>&lt;x2/&gt;</code> (for elements without content),
+ *       or <code>'markdown'</code>, which writes <code>*em*</code>,
+ *       <code>**strong**</code>, links as <code>[…](1)</code>,
+ *       <code>&lt;br&gt;</code> as line breaks and other elements as
+ *       numbered markers like <code>[2]…[/2]</code> and <code>[3/]</code>.
  *
  * @constructor ReMarkup
  * @public
@@ -94,16 +295,92 @@ class ReMarkup {
   constructor(opt) {
     opt = opt || {};
     
-    this.keepAttributes = new AttributeSet(['id', /^(remarkup|translate)-.+$/]);
+    // kept for creating equivalent instances in worker threads
+    this.options = opt;
+    
+    // the un-marked elements of loaded originals, see unMarkedElements(),
+    // and the original elements by un-marked element
+    this.unMarkedCache = new WeakMap();
+    this.unMarkedOriginals = new WeakMap();
+    
+    // the unmodified counterparts of the elements during unMarkupRecurse()
+    this.pristineElements = null;
+    
+    if (opt.preset) {
+      if (!ReMarkup.presets[opt.preset]) {
+        throw new TypeError('Unknown preset: ' + opt.preset);
+      }
+      
+      opt = Object.assign({}, ReMarkup.presets[opt.preset], opt);
+    }
+    
+    this.parserOptions = Object.assign(opt.xml ? { xmlMode: true } : {}, opt.parserOptions);
+    this.adapter = opt.adapter || ReMarkup.defaultAdapter;
+    this.interpolation = opt.interpolation || [];
+    this.boundAttribute = opt.boundAttribute || (() => null);
+    this.opaqueElements = opt.opaqueElements || defaultOpaqueElements;
+    
+    const semanticAttributes = this.attributeSet(this.semanticAttributes());
+    
+    this.keepAttributes = this.attributeSet(['id', /^(remarkup|translate)-.+$/]);
     this.keepAttributes.add(this.semanticAttributes());
+    this.keepAttributes.add(opt.additionalKeepAttributes || []);
+    if (this.parserOptions.xmlMode) {
+      // namespace declarations are needed for un-marked XML to be well-formed
+      this.keepAttributes.add(/^xmlns(:.+)?$/);
+    }
+    this.keepAttributes.add((name, element) => {
+      const boundName = this.boundAttribute(name);
+      const node = this.adapter.unwrap(element);
+      return boundName !== null && semanticAttributes.test(boundName, node, node);
+    });
     
     this.elementFilters = opt.elementFilters || [
       ReMarkup.defaultElementFilter(this.keepAttributes)
     ].concat(opt.additionalElementFilters || []);
     
-    this.nonexistentChildDistance = opt.nonexistentChildDistance || 10;
+    this.weights = Object.assign({}, ReMarkup.defaultWeights,
+      opt.nonexistentChildDistance ? { nonexistentChild: opt.nonexistentChildDistance } : {},
+      opt.weights);
+    
+    this.nonexistentChildDistance = this.weights.nonexistentChild;
     this.rawElementMetric = opt.rawElementMetric ||
       ReMarkup.defaultRawElementMetric;
+    
+    // bound attributes contain expressions, which are never translated
+    const mergeRules = [{
+      attributes: [name => this.boundAttribute(name) !== null],
+      merge: 'original'
+    }].concat(opt.mergeRules || []);
+    
+    this.mergeRules = mergeRules.map(rule => {
+      const merge = typeof rule.merge === 'function' ? rule.merge :
+        ReMarkup.mergeStrategies[rule.merge];
+      
+      if (typeof merge !== 'function') {
+        throw new TypeError('Unknown merge strategy: ' + rule.merge);
+      }
+      
+      return {
+        attributes: this.attributeSet(rule.attributes),
+        tags: rule.tags || null,
+        merge: merge
+      };
+    });
+    
+    this.srcLang = opt.srcLang || 'en';
+    
+    this.strict = opt.strict ? strictPolicy(opt.strict) : null;
+    
+    this.droppedElements = opt.droppedElements || 'drop';
+    this.surplusElements = opt.surplusElements || 'keep';
+    
+    this.preserveFormatting = !!opt.preserveFormatting;
+    
+    this.format = opt.format || 'html';
+    if (formats.indexOf(this.format) === -1) {
+      throw new TypeError('Unknown format: ' + this.format);
+    }
   }
 
   /**
@@ -118,6 +395,20 @@ class ReMarkup {
     this.elementFilters.push(filter);
   }
 
+  /**
+   * Creates a set of attributes for the DOM adapter of this instance.
+   * 
+   * @param {Array} list  Strings, regexes and functions.
+   * 
+   * @return {AttributeSet}
+   * 
+   * @private
+   * @method ReMarkup#attributeSet
+   */
+  attributeSet(list) {
+    return new AttributeSet(list, this.adapter, this.parserOptions);
+  }
+
   /**
    * List of semantically relevant HTML attributes.
    * These will be preserved by the default {@link ReMarkup#unMarkup}
@@ -130,9 +421,10 @@ class ReMarkup {
   semanticAttributes() {
     return [
       'alt', 'label', 'placeholder', 'title', 'tooltip', 'data-info', 'popover',
+      'aria-label',
+      { selector: '[type="button"], [type="submit"]', attributes: ['value'] },
       (name, element) => {
-        return name == 'value' && element &&
-          ['button', 'submit'].indexOf(element.attr('type')) != -1;
+        return name == 'content' && segments.isTranslatableMeta(this.adapter, this.adapter.unwrap(element));
       }
     ];
   }
@@ -140,62 +432,255 @@ class ReMarkup {
   /**
    * Applies the list of element filters to a single element.
    * 
-   * @param {DOMElement} element  The target element.
+   * @param {DOMElement} element  The target element, wrapped by {@link ReMarkup#wrap}.
    * 
    * @private
    * @method ReMarkup#applyElementFilters
    */
   applyElementFilters(element) {
     for (let i = 0; i < this.elementFilters.length; ++i) {
-      this.elementFilters[i](element);
+      this.elementFilters[i].call(this, element);
     }
   }
   
   /**
-   * Recursively apply the element filters to an element and all its children.
+   * Recursively apply the element filters to a node and all its child elements.
+   * 
+   * Since the filters are applied to parents first, an unmodified copy of
+   * the whole tree is kept meanwhile, in which the element filters can look
+   * up the original elements with their ancestors and siblings
+   * (see {@link ReMarkup#pristineElement}).
    * 
-   * @param {DOMElement} element  The target element.
+   * @param {DOMNode} node  The target node.
    * 
-   * @return {DOMElement}  The original target element.
+   * @return {DOMNode}  The original target node.
    * 
    * @private
    * @method ReMarkup#unMarkupRecurse
    */
-  unMarkupRecurse(element) {
-    this.applyElementFilters(element);
+  unMarkupRecurse(node) {
+    if (!this.pristineElements) {
+      const pristine = this.adapter.clone(node, true);
+      const pristineElements = [pristine].concat(this.elements(pristine));
+      this.pristineElements = new Map(
+        [node].concat(this.elements(node)).map((e, i) => [e, pristineElements[i]]));
+      
+      try {
+        return this.unMarkupRecurse(node);
+      } finally {
+        this.pristineElements = null;
+      }
+    }
+    
+    this.applyElementFilters(this.wrap(node));
     
-    element.children().each((i, child) => {
-      this.unMarkupRecurse($(child));
+    dom.childElements(this.adapter, node).forEach(child => {
+      this.unMarkupRecurse(child);
     });
     
-    return element;
+    return node;
+  }
+
+  /**
+   * The unmodified counterpart of an element while the element filters
+   * are applied by {@link ReMarkup#unMarkupRecurse}, which is still part of
+   * an (unmodified) document, unlike a clone of the element. For the
+   * elements of {@link ReMarkup#unMarkedElements}, this is the original
+   * element they were produced from.
+   * 
+   * @param {DOMNode} element  The element.
+   * 
+   * @return {DOMNode}  The unmodified element, or the element itself
+   *                    if it has no unmodified counterpart.
+   * 
+   * @private
+   * @method ReMarkup#pristineElement
+   */
+  pristineElement(element) {
+    return (this.pristineElements && this.pristineElements.get(element)) ||
+      this.unMarkedOriginals.get(element) || element;
+  }
+
+  /**
+   * Wraps a DOM node for callbacks like the element filters, e.g. into
+   * a cheerio object which is serialized with the parser options of
+   * this instance.
+   * 
+   * @param {DOMNode} node  The DOM node.
+   * 
+   * @return {DOMElement}  The wrapped node.
+   * 
+   * @private
+   * @method ReMarkup#wrap
+   */
+  wrap(node) {
+    return this.adapter.wrap(node, this.parserOptions);
+  }
+
+  /**
+   * All elements below a node, in document order.
+   * 
+   * @param {DOMNode} node  The document root or an element.
+   * 
+   * @return {DOMNode[]}
+   * 
+   * @private
+   * @method ReMarkup#elements
+   */
+  elements(node) {
+    return dom.elements(this.adapter, node, this.parserOptions);
+  }
+
+  /**
+   * Parses an HTML string.
+   * 
+   * @param {string} html  The HTML string.
+   * 
+   * @return {DOMNode}  The document root.
+   * 
+   * @private
+   * @method ReMarkup#load
+   */
+  load(html) {
+    const root = this.adapter.parse(html, this.parserOptions);
+    if (this.parserOptions.xmlMode) {
+      dom.keepEndTags(this.adapter, root, html, this.parserOptions);
+    }
+    
+    return root;
+  }
+
+  /**
+   * Parses an original HTML string and masks its opaque elements
+   * and interpolation expressions.
+   * 
+   * @param {string} original  The original HTML string.
+   * 
+   * @return {object}  An object with the document <code>root</code>,
+   *                   the masked <code>placeholders</code>, mapping
+   *                   placeholder IDs to their original source code, and,
+   *                   with <code>preserveFormatting</code>, the opening
+   *                   <code>tags</code> of the elements.
+   * 
+   * @private
+   * @method ReMarkup#loadOriginal
+   */
+  loadOriginal(original) {
+    const root = this.load(original);
+    const placeholders = {};
+    const tags = this.preserveFormatting ?
+      formatting.openingTags(this.adapter, original, root, this.parserOptions) : null;
+    
+    if (this.opaqueElements.length > 0) {
+      const elements = this.elements(root);
+      const opaque = new Set(this.adapter.find(root, this.opaqueElements.join(', '), this.parserOptions)
+        .filter(e => this.adapter.getAttribute(e, 'translate') !== 'yes'));
+      
+      // only the outermost opaque elements are replaced
+      const outermost = elements.filter(e => {
+        if (!opaque.has(e)) {
+          return false;
+        }
+        
+        for (let p = this.adapter.parent(e); p; p = this.adapter.parent(p)) {
+          if (opaque.has(p)) {
+            return false;
+          }
+        }
+        
+        return true;
+      });
+      
+      if (outermost.length > 0) {
+        // the source code is taken from the original string, so that it
+        // is restored exactly; serializing the element is only a fallback
+        const ranges = dom.sourceRanges(original, this.parserOptions);
+        const sources = outermost.map(e => {
+          const range = ranges.length === elements.length && ranges[elements.indexOf(e)];
+          return range && range[1] > range[0] ? original.slice(range[0], range[1]) :
+            this.adapter.html(e, this.parserOptions);
+        });
+        
+        interpolation.maskElements(this.adapter, outermost, sources, placeholders);
+      }
+    }
+    
+    interpolation.mask(this.adapter, root, this.interpolation, placeholders);
+    
+    return { root: root, placeholders: placeholders, tags: tags };
   }
 
   /**
    * Apply the element filters to an HTML fragment.
    * 
+   * With the <code>'tokens'</code> format, the elements of the
+   * result are replaced by numbered tokens, counted in document order.
+   * Attributes are not part of the token output, so semantic attributes
+   * like <code>title</code> will be taken from the original
+   * by {@link ReMarkup#reMarkup}. The same holds for the
+   * <code>'markdown'</code> format, where literal <code>*</code>,
+   * <code>[</code>, <code>]</code> and <code>\</code> in the text
+   * are escaped with a backslash.
+   * 
    * @param {string} original  The target HTML fragment.
+   * @param {object} [opt]
+   * @param {boolean} [opt.skeleton]
+   *       If set, an object <code>{ html, skeleton }</code> is returned.
+   *       The skeleton is a JSON-serializable record of the attributes
+   *       that were stripped from each element, which
+   *       {@link ReMarkup#reMarkupSkeleton} accepts instead of the original.
    * 
    * @return {string}  A modified HTML fragment.
    * 
    * @public
    * @method ReMarkup#unMarkup
    */
-  unMarkup(original) {
-    const doc = $.load(original);
-    const root = doc.root();
+  unMarkup(original, opt) {
+    opt = opt || {};
+    
+    const loaded = this.loadOriginal(original);
+    const root = opt.skeleton ? this.adapter.clone(loaded.root, true) : loaded.root;
     
     this.unMarkupRecurse(root);
     
-    return root.html();
+    const html = this.serializeFormat(root, null);
+    if (!opt.skeleton) {
+      return html;
+    }
+    
+    return {
+      html: html,
+      skeleton: skeletons.create(this.adapter, original, loaded, root, this.parserOptions)
+    };
   }
 
   /**
    * Re-adds attributes from an original HTML fragment
    * to a, possibly modified, one.
    * 
+   * With the <code>'tokens'</code> format, each token is mapped back
+   * onto the original element with the same number. Only when tokens
+   * are missing, duplicated or unknown, the elements are matched
+   * like in the <code>'html'</code> format. With the <code>'markdown'</code>
+   * format, the elements are always matched like that.
+   * 
    * @param {string} original  The original HTML fragment, including all attributes.
    * @param {string} modified  The target HTML fragment.
+   * @param {object} [opt]
+   * @param {boolean} [opt.report]
+   *       If set, an object <code>{ html, report }</code> is returned.
+   *       The report contains the matched element <code>pairs</code>
+   *       with their distances and confidences,
+   *       <code>unmatchedOriginal</code> and <code>unmatchedModified</code>
+   *       elements, <code>tagMismatches</code>, an overall
+   *       <code>confidence</code> between 0 and 1 and, in strict mode,
+   *       the list of <code>violations</code>. Original elements that
+   *       were re-inserted are listed as <code>restored</code>.
+   *       (See {@link ReMarkup#matchReport} and {@link ReMarkup#validate}.)
+   * @param {string} [opt.lang]
+   *       For whole documents, the target language, which is set on the
+   *       <code>&lt;html&gt;</code> element like in
+   *       {@link ReMarkup#reassembleSegments}.
    * 
    * @return {string}  An HTML fragment, with the attributes from the original string
    *                   added to the modified one.
@@ -203,233 +688,1907 @@ class ReMarkup {
    * @public
    * @method ReMarkup#reMarkup
    */
-  reMarkup(original, modified) {
-    const origDoc = $.load(original).root(),
-          modDoc  = $.load(modified).root();
+  reMarkup(original, modified, opt) {
+    return this.reMarkupLoaded(this.loadOriginal(original), modified, opt);
+  }
+
+  /**
+   * Re-marks many modified fragments at once, e.g. the translations of
+   * a fragment into several languages. Each distinct original is parsed
+   * and un-marked only once.
+   * 
+   * @param {string|object[]} original
+   *       The original fragment of all modified fragments, or a list of
+   *       <code>{ original, modified, lang }</code> objects, where the
+   *       optional <code>lang</code> overrides <code>opt.lang</code>.
+   * @param {string[]} [modified]
+   *       The modified fragments, if a single original is given.
+   * @param {object} [opt]  See {@link ReMarkup#reMarkup}.
+   * 
+   * @return {object[]}  A result for each modified fragment, in the same order:
+   *                     <code>{ html }</code> (and, with <code>opt.report</code>,
+   *                     the <code>report</code>), or <code>{ error }</code>
+   *                     if it could not be re-marked.
+   * 
+   * @public
+   * @method ReMarkup#reMarkupBatch
+   */
+  reMarkupBatch(original, modified, opt) {
+    if (Array.isArray(original)) {
+      opt = modified;
+    }
+    
+    return batch.reMarkupAll(this, batch.items(original, modified), opt || {});
+  }
+
+  /**
+   * Like {@link ReMarkup#reMarkupBatch}, but spreads the fragments across
+   * a pool of <code>worker_threads</code>. Each worker creates its own
+   * instance with the constructor options of this one, which therefore
+   * must not contain functions or other values that cannot be passed to
+   * a worker; <code>opt.options</code> can replace them. If worker threads
+   * are not available (before Node.js 12, or in browsers), the fragments
+   * are re-marked in this thread.
+   * 
+   * @param {string|object[]} original  See {@link ReMarkup#reMarkupBatch}.
+   * @param {string[]} [modified]       See {@link ReMarkup#reMarkupBatch}.
+   * @param {object} [opt]  Options, also passed to {@link ReMarkup#reMarkup}.
+   * @param {number} [opt.workers]
+   *       The number of worker threads. Defaults to the number of CPUs;
+   *       <code>0</code> re-marks in this thread.
+   * @param {object} [opt.options]
+   *       The constructor options for the workers.
+   * @param {function} callback
+   *       Called with an error, if the workers could not be started, and
+   *       the list of results (see {@link ReMarkup#reMarkupBatch}).
+   * 
+   * @public
+   * @method ReMarkup#reMarkupParallel
+   */
+  reMarkupParallel(original, modified, opt, callback) {
+    const args = Array.prototype.slice.call(arguments);
+    callback = args.pop();
     
-    // convert lists of all elements to arrays so that indices work
-    const origElements = Array.prototype.slice.call(origDoc.find('*'));
-    const modElements  = Array.prototype.slice.call(modDoc .find('*'));
+    const list = Array.isArray(original) ? original : batch.items(original, modified);
+    opt = (Array.isArray(original) ? args[1] : args[2]) || {};
     
-    if (origElements.length == 0 || modElements.length == 0)
-      return modified;
+    batch.reMarkupParallel(this, list, opt, callback);
+  }
+
+  /**
+   * Like {@link ReMarkup#reMarkup}, but takes the skeleton returned by
+   * {@link ReMarkup#unMarkup} instead of the original HTML fragment.
+   * 
+   * @param {object} skeleton  The skeleton of the original fragment.
+   * @param {string} modified  The target HTML fragment.
+   * @param {object} [opt]     See {@link ReMarkup#reMarkup}.
+   * @param {string} [opt.original]
+   *       The current original fragment. If it differs from the one the
+   *       skeleton was created from, a {@link ReMarkup.StaleSkeletonError}
+   *       is thrown.
+   * 
+   * @return {string}  An HTML fragment, with the attributes from the skeleton
+   *                   added to the modified one.
+   * 
+   * @public
+   * @method ReMarkup#reMarkupSkeleton
+   */
+  reMarkupSkeleton(skeleton, modified, opt) {
+    opt = opt || {};
     
-    const distanceMatrix = [];
-    for (let i = 0; i < origElements.length; ++i)
-      distanceMatrix[i] = [];
+    if (typeof opt.original === 'string' && this.isSkeletonStale(skeleton, opt.original)) {
+      throw new ReMarkup.StaleSkeletonError(
+        'The original fragment has changed since the skeleton was created', skeleton);
+    }
     
-    // compute the distance of a original and a modified element
-    // and enter it into the distance matrix
-    const computeElementDistance = (e1unwrapped, e2unwrapped) => {
-      const e1i = origElements.indexOf(e1unwrapped);
-      const e2i = modElements .indexOf(e2unwrapped);
-      
-      assert.notStrictEqual(e1i, -1);
-      assert.notStrictEqual(e2i, -1);
-      
-      const e1 = $(e1unwrapped), e2 = $(e2unwrapped);
-      
-      // do we already know the distance?
-      if (typeof distanceMatrix[e1i][e2i] != 'undefined')
-        return distanceMatrix[e1i][e2i];
-      
-      let totalChildDistance = 0;
-      
-      let e1children = e1.children();
-      let e2children = e2.children();
+    return this.reMarkupLoaded(skeletons.restore(this.adapter, skeleton,
+      html => this.load(html), this.parserOptions), modified, opt);
+  }
+
+  /**
+   * Whether a skeleton from {@link ReMarkup#unMarkup} was created
+   * from a different original fragment.
+   * 
+   * @param {object} skeleton  The skeleton.
+   * @param {string} original  The current original HTML fragment.
+   * 
+   * @return {boolean}
+   * 
+   * @public
+   * @method ReMarkup#isSkeletonStale
+   */
+  isSkeletonStale(skeleton, original) {
+    return skeletons.isStale(skeleton, original);
+  }
+
+  /**
+   * Implements {@link ReMarkup#reMarkup} for a loaded original fragment.
+   * 
+   * @param {object} loaded    The result of {@link ReMarkup#loadOriginal}.
+   * @param {string} modified  The target HTML fragment.
+   * @param {object} [opt]     See {@link ReMarkup#reMarkup}.
+   * 
+   * @private
+   * @method ReMarkup#reMarkupLoaded
+   */
+  reMarkupLoaded(loaded, modified, opt) {
+    opt = opt || {};
+    
+    const origDoc = loaded.root;
+    const matched = this.matchModified(origDoc, modified);
+    const modDoc = matched.root;
+    const match = matched.match;
+    const violations = this.checkModified(origDoc, modDoc);
+    
+    for (let pair of match.pairs) {
+      const e1 = match.origElements[pair.original];
+      const e2 = match.modElements [pair.modified];
       
-      if (e1children.length > 0 && e2children.length > 0) {
-        // compute all distances between the children of the elements...
-        const childMatrix = [];
-        
-        for (let i = 0; i < e1children.length; ++i) {
-          childMatrix[i] = [];
-          
-          for (let j = 0; j < e2children.length; ++j) {
-            childMatrix[i][j] = computeElementDistance(e1children[i], e2children[j]);
-          }
-        }
-        
-        // ... and find the minimal assignment between these
-        const m = new munkres.Munkres();
-        const indices = m.compute(childMatrix);
-      
-        for (let k = 0; k < indices.length; ++k) {
-          const ci = indices[k][0],
-                cj = indices[k][1];
-          
-          totalChildDistance += childMatrix[ci][cj];
-        }
+      copyAttributes(this, e1, e2);
+    }
+    
+    const restored = this.droppedElements === 'restore' ?
+      restoreDroppedElements(this.adapter, match, modDoc) : [];
+    
+    const surplus = match.modElements
+      .map((e, j) => j)
+      .filter(j => !match.pairs.some(pair => pair.modified === j));
+    
+    if (this.surplusElements === 'unwrap') {
+      for (let j of surplus) {
+        dom.unwrap(this.adapter, match.modElements[j]);
       }
-      
-      // add penalty for differing number of child elements
-      totalChildDistance += Math.abs(e1children.length - e2children.length) * this.nonexistentChildDistance;
-      
-      // compare to the element that unMarkup produces from e1
-      const e1_ = this.unMarkupRecurse(e1.clone());
-      const rawElementDistance = this.rawElementMetric(
-          e1_, e2,
-          e1i, e2i,
-          e1.parent().children().length,
-          e2.parent().children().length);
-      
-      return distanceMatrix[e1i][e2i] = totalChildDistance + rawElementDistance;
+    } else if (this.surplusElements === 'report') {
+      for (let j of surplus) {
+        const tagName = this.adapter.tagName(match.modElements[j]);
+        violations.push({
+          type: 'surplus-element',
+          tagName: tagName,
+          path: elementPath(this.adapter, match.modElements[j]),
+          message: 'Surplus element <' + tagName + '>'
+        });
+      }
+    }
+    
+    const placeholderViolations = interpolation.verify(this.adapter, modDoc, loaded.placeholders);
+    if (placeholderViolations.length > 0 && this.strict && this.strict.action === 'throw') {
+      throw new ReMarkup.ValidationError(placeholderViolations);
     }
     
-    for (let i = 0; i < origElements.length; ++i)
-      for (let j = 0; j < modElements.length; ++j)
-        computeElementDistance(origElements[i], modElements[j]);
+    violations.push.apply(violations, placeholderViolations);
+    
+    // the report needs to be created before placeholders are unmasked
+    const report = opt.report ?
+      this.matchReport(match.origElements, match.modElements, match.pairs) : null;
     
-    const m = new munkres.Munkres();
-    const indices = m.compute(distanceMatrix);
+    if (opt.lang) {
+      segments.setLanguage(this.adapter, modDoc, opt.lang);
+    }
+    
+    const changed = match.pairs.length > 0 || violations.length > 0 || !!opt.lang ||
+      restored.length > 0 || (surplus.length > 0 && this.surplusElements === 'unwrap') ||
+      Object.keys(loaded.placeholders).length > 0;
     
-    for (let k = 0; k < indices.length; ++k) {
-      const ci = indices[k][0], cj = indices[k][1];
-      const e1 = origElements[ci];
-      const e2 = modElements [cj];
+    let serialize;
+    if (this.preserveFormatting) {
+      const originals = new Map(match.pairs.map(pair =>
+        [match.modElements[pair.modified], match.origElements[pair.original]]));
       
-      copyAttributes(e1, e2, this.keepAttributes);
+      formatting.restoreWhitespace(this.adapter, new Map(originals).set(modDoc, origDoc));
+      serialize = root => formatting.serialize(this.adapter, root, originals, loaded.tags, this.parserOptions);
+    }
+    
+    const html = changed || this.preserveFormatting ?
+      interpolation.unmask(this.adapter, modDoc, loaded.placeholders, this.parserOptions, serialize) :
+      matched.html;
+    if (!opt.report) {
+      return html;
     }
     
-    return modDoc.html();
+    report.violations = violations;
+    report.restored = restored.map(i => ({
+      index: i,
+      tagName: this.adapter.tagName(match.origElements[i]),
+      path: elementPath(this.adapter, match.origElements[i])
+    }));
+    
+    return { html: html, report: report };
   }
-}
 
-/**
- * An element filter for stripping whitespace after/before
- * tags and newlines and collapse multiple spaces into a single one.
- * 
- * @param {DOMElement} cElement  The target element.
- * 
- * @return {DOMElement}  The original target element.
- * 
- * @public
- * @function ReMarkup.stripSpaces
- */
-ReMarkup.stripSpaces = function (cElement) {
-  const element = cElement[0];
-  
-  for (let i = 0; i < element.children.length; ++i) {
-    const node = element.children[i];
-    if (node.type !== 'text')
-      continue;
-    
-    // collapse multiple spaces
+  /**
+   * Parses a modified fragment in the format of this instance and
+   * matches its elements with those of the original document.
+   * 
+   * @param {DOMElement} origDoc  The root of the original document.
+   * @param {string} modified     The modified fragment.
+   * 
+   * @return {object}  An object with the modified fragment as
+   *                   <code>html</code>, its document <code>root</code>
+   *                   and the <code>match</code>
+   *                   (see {@link ReMarkup#matchElements}).
+   * 
+   * @private
+   * @method ReMarkup#matchModified
+   */
+  matchModified(origDoc, modified) {
+    let pairs = null;
     
-    /* only \t, \n, \r, space since other spaces (e.g. nbsp)
-     * may carry some semantic meaning */
-    node.data = node.data
-      .replace(/[\t\n\r ]+/g, ' ');
+    if (this.format !== 'html') {
+      const converted = this.convertFormat(origDoc, modified);
+      modified = converted.html;
+      pairs = converted.pairs;
+    }
     
-    // remove starting/ending whitespace
-    if (i == 0)
-      node.data = node.data.replace(/^[\t\n\r ]+/g, '');
+    const modDoc = this.load(modified);
+    const match = pairs ? {
+      origElements: this.elements(origDoc),
+      modElements:  this.elements(modDoc),
+      pairs: pairs
+    } : this.matchElements(origDoc, modDoc);
     
-    if (i == element.childNodes.length - 1)
-      node.data = node.data.replace(/[\t\n\r ]+$/g, '');
+    return { html: modified, root: modDoc, match: match };
   }
-  
-  return element;
-};
 
-/**
- * Creates a default element filter that removes most attributes.
- * 
- * @param {string[]} keepAttributes
- *                     A list of strings and/or regex objects that
- *                     element attributes are validated against.
- * 
- * @return {function}  An element filter that removes all attributes
- *                     but those specified as preserved.
- * 
- * @public
- * @function ReMarkup.defaultElementFilter
- */
-ReMarkup.defaultElementFilter = function (keepAttributes) {
-  return element => {
-    const originalElement = element.clone();
+  /**
+   * Creates a self-contained HTML page for reviewing how the elements
+   * of a modified fragment were matched with the original ones by
+   * {@link ReMarkup#reMarkup}. Both fragments are shown side by side,
+   * where matched elements share a colour and show their
+   * <code>rawElementMetric</code> distance and the cost of the
+   * assignment of their children on hover. Unmatched elements and
+   * pairs with different tag names are highlighted.
+   * 
+   * The fragments are rendered without their attributes and scripts,
+   * so the page is safe to open for untrusted translations.
+   * 
+   * @param {string} original  The original HTML fragment.
+   * @param {string} modified  The modified fragment.
+   * @param {object} [opt]
+   * @param {string} [opt.title]  The page title.
+   * 
+   * @return {string}  The HTML page.
+   * 
+   * @public
+   * @method ReMarkup#alignmentReport
+   */
+  alignmentReport(original, modified, opt) {
+    opt = opt || {};
     
-    Object.keys(element.attr() || {})
-      .filter(attrName => !keepAttributes.test(attrName, element, originalElement))
-      .forEach(attrName => element.removeAttr(attrName));
-  };
-};
+    const loaded = this.loadOriginal(original);
+    const matched = this.matchModified(loaded.root, modified);
+    const match = matched.match;
+    
+    return review.page(this.adapter, loaded.root, matched.root, match,
+      this.matchReport(match.origElements, match.modElements, match.pairs), {
+        title: opt.title,
+        placeholders: loaded.placeholders,
+        parserOptions: this.parserOptions
+      });
+  }
 
-/**
- * The default element metric.
- * This compares elements and their position in the DOM tree
- * and returns a number that indicates how un-similar the
+  /**
+   * Updates a translation after its original fragment has changed.
+   * The old original is matched against the new one by the elements'
+   * tag names and text, and against the translation like in
+   * {@link ReMarkup#reMarkup}. The changes between the originals are
+   * then carried over to the translation:
+   * changed attributes and tag names are copied, removed elements are
+   * unwrapped (or dropped if they have no text), new wrapper elements are
+   * wrapped around the translated content and other new elements are
+   * inserted at their inferred position.
+   * 
+   * Translated attributes are not overwritten. Instead, all segments
+   * (see {@link ReMarkup#extractSegments}) of the new original whose
+   * visible text differs from the old one are listed as
+   * <code>changed</code>, since they need to be re-translated.
+   * 
+   * @param {string} oldOriginal  The original fragment the translation was made from.
+   * @param {string} newOriginal  The new original fragment.
+   * @param {string} translated   The translated fragment, including all attributes.
+   * 
+   * @return {object}  An object <code>{ html, changed }</code>, where
+   *                   <code>changed</code> is a list of segments
+   *                   <code>{ id, type, attribute, source }</code>.
+   * 
+   * @public
+   * @method ReMarkup#update
+   */
+  update(oldOriginal, newOriginal, translated) {
+    const oldDoc = this.load(oldOriginal);
+    const newDoc = this.load(newOriginal);
+    const transDoc = this.load(translated);
+    
+    const oldElements = this.elements(oldDoc);
+    const newElements = this.elements(newDoc);
+    const transElements = this.elements(transDoc);
+    
+    // both originals are in the same language, so they are compared
+    // by their text instead of the metric used for translations
+    const oldToNew = new Map(diffElements(this.adapter, oldElements, newElements)
+      .map(pair => [pair.original, pair.modified]));
+    
+    const transMatch = this.matchElements(oldDoc,
+      this.unMarkupRecurse(this.adapter.clone(transDoc, true)));
+    
+    // pairs of new original and translated elements
+    const match = {
+      origElements: newElements,
+      modElements: transElements,
+      pairs: []
+    };
+    
+    for (let pair of transMatch.pairs) {
+      const translatedElement = transElements[pair.modified];
+      
+      if (oldToNew.has(pair.original)) {
+        const j = oldToNew.get(pair.original);
+        // renaming may replace the element
+        transElements[pair.modified] = applyElementChanges(this.adapter, oldElements[pair.original],
+          newElements[j], translatedElement, this.keepAttributes);
+        match.pairs.push({ original: j, modified: pair.modified });
+        continue;
+      }
+      
+      // the element was removed from the original
+      if (textLength(this.adapter, translatedElement) === 0 &&
+          this.elements(translatedElement).length === 0) {
+        this.adapter.remove(translatedElement);
+      } else {
+        dom.unwrap(this.adapter, translatedElement);
+      }
+    }
+    
+    wrapAddedElements(this.adapter, match);
+    
+    // new elements are inserted with their (untranslated) content,
+    // unless they contain elements that are already present
+    const matched = new Set(match.pairs.map(pair => newElements[pair.original]));
+    restoreDroppedElements(this.adapter, match, transDoc, e =>
+      !this.elements(e).some(child => matched.has(child)));
+    
+    // segments are compared by their visible text, including
+    // semantic attributes, so that changed markup alone is ignored
+    const adapter = this.adapter;
+    const semanticAttributes = this.attributeSet(this.semanticAttributes());
+    const visibleText = segment => {
+      const element = segment.element;
+      if (segment.type === 'attribute') {
+        return segment.attribute + '\0' + adapter.getAttribute(element, segment.attribute);
+      }
+      
+      const attributes = this.elements(element).map(e =>
+        adapter.attributeNames(e)
+          .filter(name => semanticAttributes.test(name, e, e))
+          .map(name => name + '=' + adapter.getAttribute(e, name)).join('\0'));
+      
+      return [adapter.text(element).replace(/\s+/g, ' ').trim()].concat(attributes).join('\0');
+    };
+    
+    const oldTexts = this.collectSegments(this.load(oldOriginal)).map(visibleText);
+    const newTexts = this.collectSegments(this.load(newOriginal)).map(visibleText);
+    const changed = this.extractSegments(newOriginal)
+      .filter((segment, i) => oldTexts.indexOf(newTexts[i]) === -1);
+    
+    return { html: this.adapter.html(transDoc, this.parserOptions), changed: changed };
+  }
+
+  /**
+   * Creates a pseudo-localized version of an HTML fragment, for testing
+   * templates before they are translated. The text nodes and translatable
+   * attributes (see {@link ReMarkup#semanticAttributes}) of the
+   * {@link ReMarkup#unMarkup} output are transformed, and the result is
+   * passed to {@link ReMarkup#reMarkup}.
+   * 
+   * @param {string} original  The original HTML fragment.
+   * @param {object} [opt]     Options, also passed to {@link ReMarkup#reMarkup}.
+   * @param {boolean} [opt.accents]
+   *       Replace letters by accented ones. Defaults to <code>true</code>.
+   * @param {number} [opt.expansion]
+   *       The percentage by which texts are padded. Defaults to 30.
+   * @param {string[]} [opt.brackets]
+   *       The markers placed around the text of each block element and
+   *       each attribute. Defaults to <code>['[', ']']</code>.
+   * @param {string} [opt.padding]
+   *       The character used for padding. Defaults to <code>~</code>.
+   * @param {boolean} [opt.moveElements]
+   *       Reverse the order of inline elements, which simulates
+   *       a different word order.
+   * 
+   * @return {string}  The pseudo-localized HTML fragment.
+   * 
+   * @public
+   * @method ReMarkup#pseudoLocalize
+   */
+  pseudoLocalize(original, opt) {
+    const origDoc = this.loadOriginal(original).root;
+    const root = this.unMarkupRecurse(this.adapter.clone(origDoc, true));
+    
+    // scoped rules are tested against the original elements, which still
+    // have the attributes (like type="submit") that unMarkup removed
+    const origElements = this.elements(origDoc);
+    const originals = new Map(this.elements(root).map((e, i) => [e, origElements[i]]));
+    
+    // tokens keep the numbers of the elements they were created for
+    const numbered = this.format === 'markdown' ?
+      markdown.numberedElements(this.adapter, this.elements(root)) : this.elements(root);
+    const ids = new Map(numbered.map((e, i) => [e, i + 1]));
+    
+    const translatableAttributes = this.attributeSet(this.semanticAttributes());
+    pseudo.transform(this.adapter, root,
+      (name, element) => translatableAttributes.test(name, element, originals.get(element) || element), opt);
+    
+    return this.reMarkup(original, this.serializeFormat(root, ids), opt);
+  }
+
+  /**
+   * Checks whether a modified fragment is structurally safe to be re-marked
+   * with the original one, according to the <code>strict</code> policy.
+   * 
+   * @param {string} original  The original HTML fragment.
+   * @param {string} modified  The modified fragment.
+   * 
+   * @return {object[]}  A list of <code>{ type, tagName, message, ... }</code>
+   *                     violations, where <code>type</code> is one of
+   *                     <code>'new-tag'</code>, <code>'element-count'</code>,
+   *                     <code>'new-attribute'</code> and
+   *                     <code>'dangerous-attribute'</code>.
+   * 
+   * @public
+   * @method ReMarkup#validate
+   */
+  validate(original, modified) {
+    const loaded = this.loadOriginal(original);
+    
+    if (this.format !== 'html') {
+      modified = this.convertFormat(loaded.root, modified).html;
+    }
+    
+    const modDoc = this.load(modified);
+    
+    return validation.validate(this.adapter, loaded.root, modDoc,
+      this.strict || strictPolicy(true), this.keepAttributes, this.parserOptions)
+      .concat(interpolation.verify(this.adapter, modDoc, loaded.placeholders));
+  }
+
+  /**
+   * Validates a modified document in strict mode.
+   * Throws a {@link ReMarkup.ValidationError} if the policy says so.
+   * 
+   * @param {DOMElement} origDoc  The root of the original document.
+   * @param {DOMElement} modDoc   The root of the modified document.
+   * 
+   * @return {object[]}  A list of violations.
+   * 
+   * @private
+   * @method ReMarkup#checkModified
+   */
+  checkModified(origDoc, modDoc) {
+    if (!this.strict) {
+      return [];
+    }
+    
+    const violations = validation.validate(this.adapter, origDoc, modDoc,
+      this.strict, this.keepAttributes, this.parserOptions);
+    if (violations.length > 0 && this.strict.action === 'throw') {
+      throw new ReMarkup.ValidationError(violations);
+    }
+    
+    return violations;
+  }
+
+  /**
+   * Writes an un-marked document in the format of this instance.
+   * 
+   * @param {DOMNode} root  The document root.
+   * @param {Map} [ids]     The numbers of the elements in the
+   *                        <code>'tokens'</code> and <code>'markdown'</code>
+   *                        formats, if they differ from the document order.
+   * 
+   * @return {string}
+   * 
+   * @private
+   * @method ReMarkup#serializeFormat
+   */
+  serializeFormat(root, ids) {
+    switch (this.format) {
+      case 'tokens':   return serializeTokens(this.adapter, root, ids, this.parserOptions);
+      case 'markdown': return markdown.serialize(this.adapter, root, ids, this.parserOptions);
+      default:         return this.adapter.html(root, this.parserOptions);
+    }
+  }
+
+  /**
+   * Converts a modified string in the format of this instance to HTML.
+   * 
+   * @param {DOMElement} origDoc  The root of the original document.
+   * @param {string} modified  The modified string.
+   * 
+   * @return {object}  An object with the resulting <code>html</code> and
+   *                   possibly the list of matched <code>pairs</code>
+   *                   (see {@link ReMarkup#convertTokens}).
+   * 
+   * @private
+   * @method ReMarkup#convertFormat
+   */
+  convertFormat(origDoc, modified) {
+    switch (this.format) {
+      case 'tokens':
+        return this.convertTokens(origDoc, modified);
+      case 'markdown': {
+        // markers refer to the elements that unMarkup produces
+        return {
+          html: markdown.toHTML(this.adapter, modified, this.unMarkedElements(origDoc), this.parserOptions),
+          pairs: null
+        };
+      }
+      default:
+        return { html: modified, pairs: null };
+    }
+  }
+
+  /**
+   * The elements that {@link ReMarkup#unMarkup} produces from an original
+   * document, in document order. These are computed once per document,
+   * which must not be modified afterwards.
+   * 
+   * @param {DOMElement} origDoc  The root of the original document.
+   * 
+   * @return {DOMNode[]}
+   * 
+   * @private
+   * @method ReMarkup#unMarkedElements
+   */
+  unMarkedElements(origDoc) {
+    if (!this.unMarkedCache.has(origDoc)) {
+      const origElements = this.elements(origDoc);
+      const unMarkedElements = this.elements(this.unMarkupRecurse(this.adapter.clone(origDoc, true)));
+      unMarkedElements.forEach((e, i) => this.unMarkedOriginals.set(e, origElements[i]));
+      this.unMarkedCache.set(origDoc, unMarkedElements);
+    }
+    
+    return this.unMarkedCache.get(origDoc);
+  }
+
+  /**
+   * Converts a modified string in the <code>'tokens'</code> format to HTML.
+   * 
+   * @param {DOMElement} origDoc  The root of the original document.
+   * @param {string} modified  The token string.
+   * 
+   * @return {object}  An object with the resulting <code>html</code> and,
+   *                   if all tokens could be mapped onto the original elements
+   *                   directly, the list of matched <code>pairs</code>.
+   * 
+   * @private
+   * @method ReMarkup#convertTokens
+   */
+  convertTokens(origDoc, modified) {
+    const tokens = parseTokens(modified);
+    const origElements = this.elements(origDoc);
+    
+    if (tokensAreComplete(tokens, origElements.length)) {
+      // tokens map onto the original elements in the order in which they appear
+      return {
+        html: tokensToHTML(this.adapter, tokens, origElements, this.parserOptions),
+        pairs: tokens
+          .filter(token => token.type === 'open' || token.type === 'void')
+          .map((token, j) => ({ original: token.id - 1, modified: j, distance: 0, elementDistance: 0 }))
+      };
+    }
+    
+    // fall back to matching the elements that unMarkup would produce
+    return {
+      html: tokensToHTML(this.adapter, tokens, this.unMarkedElements(origDoc), this.parserOptions),
+      pairs: null
+    };
+  }
+
+  /**
+   * Finds an assignment between the elements of
+   * an original and a modified document.
+   * 
+   * Matching is done top-down: The children of two matched elements are
+   * assigned to each other, starting with the document roots. The distance
+   * of two elements includes the cost of the minimal assignment between
+   * their children, so that parents are matched by their whole subtrees.
+   * Elements that are left over, e.g. because they were moved to another
+   * parent, and children whose tag names differ from those they were
+   * assigned to are then matched globally, starting with the topmost ones,
+   * whose children are matched top-down again. In long lists of siblings,
+   * subtrees are not compared and the assignment is approximated, so that
+   * large tables take about quadratic time.
+   * 
+   * @param {DOMElement} origDoc  The root of the original document.
+   * @param {DOMElement} modDoc   The root of the modified document.
+   * 
+   * @return {object}  An object with the <code>origElements</code> and
+   *                   <code>modElements</code> lists and a list of
+   *                   <code>{ original, modified, distance, elementDistance }</code>
+   *                   <code>pairs</code> of indices into these.
+   * 
+   * @private
+   * @method ReMarkup#matchElements
+   */
+  matchElements(origDoc, modDoc) {
+    // lists of all elements, so that indices work
+    const origElements = this.elements(origDoc);
+    const modElements  = this.elements(modDoc);
+    
+    const result = { origElements: origElements, modElements: modElements, pairs: [] };
+    
+    if (origElements.length == 0 || modElements.length == 0)
+      return result;
+    
+    const origIndices = new Map(origElements.map((e, i) => [e, i]));
+    const modIndices  = new Map(modElements .map((e, i) => [e, i]));
+    
+    // the elements that unMarkup produces from the original ones;
+    // element filters do not change the structure, so these
+    // correspond to the original elements by their index
+    const unMarkedElements = this.unMarkedElements(origDoc);
+    assert.strictEqual(unMarkedElements.length, origElements.length);
+    
+    const matchedOriginal = new Set();
+    const matchedModified = new Set();
+    
+    // the costs of the minimal assignments between the children
+    // of two elements, by original and modified element
+    const subtreeCosts = new Map();
+    
+    // wrapped elements and lists of child elements, which are
+    // needed for every pair that an element is compared in
+    const wrapped = new Map(), children = new Map();
+    const wrap = e => wrapped.get(e) || wrapped.set(e, this.wrap(e)).get(e);
+    const childElements = e => children.get(e) || children.set(e, dom.childElements(this.adapter, e)).get(e);
+    
+    // compute the distance of an original and a modified element,
+    // where pos1/pos2 and len1/len2 are their positions in and
+    // the lengths of the lists in which they are compared
+    const elementDistance = (e1, e2, pos1, pos2, len1, len2) => {
+      const rawElementDistance = this.rawElementMetric(
+          wrap(unMarkedElements[origIndices.get(e1)]), wrap(e2),
+          pos1, pos2,
+          len1, len2);
+      
+      // add penalty for differing number of child elements
+      const childDistance = Math.abs(
+        childElements(e1).length - childElements(e2).length) * this.nonexistentChildDistance;
+      
+      // subtrees are only compared in lists that are small enough
+      // for an exact assignment, so that long lists of similar elements
+      // (like table rows) only take quadratic time in their length
+      const subtreeDistance = len1 * len2 <= exactAssignmentSize ? subtreeCost(e1, e2) : 0;
+      
+      return {
+        distance: rawElementDistance + childDistance + subtreeDistance,
+        elementDistance: rawElementDistance
+      };
+    };
+    
+    // the cost of the minimal assignment between the children of two
+    // elements, so that parents are matched by their whole subtrees
+    // (except for parents of long lists, which are left to the penalty
+    // for differing numbers of children)
+    const subtreeCost = (e1, e2) => {
+      if (!subtreeCosts.has(e1)) {
+        subtreeCosts.set(e1, new Map());
+      }
+      
+      const costs = subtreeCosts.get(e1);
+      if (costs.has(e2)) {
+        return costs.get(e2);
+      }
+      
+      const children1 = childElements(e1);
+      const children2 = childElements(e2);
+      let cost = 0;
+      
+      if (children1.length > 0 && children2.length > 0 &&
+          children1.length * children2.length <= exactAssignmentSize) {
+        const matrix = children1.map((c1, i) => children2.map((c2, j) =>
+          elementDistance(c1, c2, i, j, children1.length, children2.length).distance));
+        
+        cost = minimalAssignment(matrix).reduce((sum, index) => sum + matrix[index[0]][index[1]], 0);
+      }
+      
+      costs.set(e2, cost);
+      return cost;
+    };
+    
+    // find the minimal assignment between two lists of elements
+    // and add the resulting pairs that are accepted by the filter
+    const assign = (list1, list2, accept) => {
+      const distances = list1.map((e1, i) => list2.map((e2, j) =>
+        elementDistance(e1, e2, i, j, list1.length, list2.length)));
+      
+      const indices = minimalAssignment(distances.map(row => row.map(d => d.distance)));
+      
+      return indices.filter(index => accept(list1[index[0]], list2[index[1]])).map(index => {
+        const e1 = list1[index[0]], e2 = list2[index[1]];
+        const d = distances[index[0]][index[1]];
+        
+        matchedOriginal.add(e1);
+        matchedModified.add(e2);
+        result.pairs.push({
+          original: origIndices.get(e1),
+          modified: modIndices.get(e2),
+          distance: d.distance,
+          elementDistance: d.elementDistance
+        });
+        
+        return [e1, e2];
+      });
+    };
+    
+    // elements with different tag names are left to the global assignment,
+    // since they are usually children of parents that were matched only
+    // because their subtrees are similar, while the elements themselves
+    // have moved to other parents
+    const sameTagName = (e1, e2) => this.adapter.tagName(e1) === this.adapter.tagName(e2);
+    
+    // match children of already matched parents
+    const matchChildren = queue => {
+      while (queue.length > 0) {
+        const parents = queue.shift();
+        const children1 = childElements(parents[0]);
+        const children2 = childElements(parents[1]);
+        
+        if (children1.length > 0 && children2.length > 0) {
+          queue.push.apply(queue, assign(children1, children2, sameTagName));
+        }
+      }
+    };
+    
+    matchChildren([[origDoc, modDoc]]);
+    
+    // fall back to a global assignment for the remaining elements: the
+    // topmost unmatched original elements (e.g. moved table rows, but not
+    // their cells) are assigned to any unmatched modified elements, and
+    // their children are matched top-down again, until one side is done
+    const isTopmost = e => {
+      const parent = this.adapter.parent(e);
+      return !origIndices.has(parent) || matchedOriginal.has(parent);
+    };
+    
+    for (;;) {
+      const rest1 = origElements.filter(e => !matchedOriginal.has(e) && isTopmost(e));
+      const rest2 = modElements .filter(e => !matchedModified.has(e));
+      
+      if (rest1.length === 0 || rest2.length === 0) {
+        break;
+      }
+      
+      matchChildren(assign(rest1, rest2, () => true));
+    }
+    
+    result.pairs.sort((a, b) => a.original - b.original);
+    return result;
+  }
+
+  /**
+   * Creates a report of an element assignment.
+   * 
+   * The confidence of a single pair is 1 for elements with a
+   * distance of at most the <code>base</code> weight (the minimal
+   * distance for non-identical elements in
+   * {@link ReMarkup.defaultRawElementMetric}) and decreases
+   * for larger distances. It is halved for elements that were
+   * moved to another parent. The overall confidence is the sum of all pair
+   * confidences, divided by the number of elements on the larger side,
+   * so unmatched elements lower it, too.
+   * 
+   * @param {DOMElement[]} origElements  The original elements.
+   * @param {DOMElement[]} modElements   The modified elements.
+   * @param {object[]} pairs  The matched pairs.
+   * 
+   * @return {object}  The report.
+   * 
+   * @private
+   * @method ReMarkup#matchReport
+   */
+  matchReport(origElements, modElements, pairs) {
+    const origToMod = new Map();
+    for (let pair of pairs) {
+      origToMod.set(origElements[pair.original], modElements[pair.modified]);
+    }
+    
+    const adapter = this.adapter;
+    const base = this.weights.base;
+    const describe = (elements, index) => ({
+      index: index,
+      tagName: adapter.tagName(elements[index]),
+      path: elementPath(adapter, elements[index])
+    });
+    
+    const reportPairs = pairs.map(pair => {
+      const e1 = origElements[pair.original];
+      const e2 = modElements [pair.modified];
+      
+      const p1 = adapter.parent(e1), p2 = adapter.parent(e2);
+      
+      // whether the parents of the elements are not matched to each other
+      const moved = origToMod.has(p1) ?
+        origToMod.get(p1) !== p2 :
+        adapter.isRoot(p1) !== adapter.isRoot(p2);
+      
+      return {
+        original: describe(origElements, pair.original),
+        modified: describe(modElements, pair.modified),
+        distance: pair.distance,
+        elementDistance: pair.elementDistance,
+        tagMismatch: adapter.tagName(e1) !== adapter.tagName(e2),
+        moved: moved,
+        confidence: (pair.elementDistance <= base ? 1 : base / pair.elementDistance) * (moved ? 0.5 : 1)
+      };
+    });
+    
+    const matchedOriginal = pairs.map(pair => pair.original);
+    const matchedModified = pairs.map(pair => pair.modified);
+    const total = Math.max(origElements.length, modElements.length);
+    
+    return {
+      pairs: reportPairs,
+      unmatchedOriginal: origElements
+        .map((e, i) => i)
+        .filter(i => matchedOriginal.indexOf(i) === -1)
+        .map(i => describe(origElements, i)),
+      unmatchedModified: modElements
+        .map((e, i) => i)
+        .filter(i => matchedModified.indexOf(i) === -1)
+        .map(i => describe(modElements, i)),
+      tagMismatches: reportPairs.filter(pair => pair.tagMismatch),
+      confidence: total === 0 ? 1 :
+        reportPairs.reduce((sum, pair) => sum + pair.confidence, 0) / total
+    };
+  }
+
+  /**
+   * Creates an XLIFF 2.0 document from a set of HTML fragments.
+   * 
+   * Each fragment is run through {@link ReMarkup#unMarkup} and becomes
+   * a <code>&lt;unit&gt;</code>. Elements are represented as
+   * <code>&lt;pc&gt;</code> and (for elements without content)
+   * <code>&lt;ph&gt;</code> inline codes, whose original tags are
+   * stored in <code>&lt;originalData&gt;</code>.
+   * 
+   * @param {string[]|object} fragments
+   *                   A list of HTML fragments, or an object mapping
+   *                   unit IDs to HTML fragments. Lists get the unit
+   *                   IDs <code>u1</code>, <code>u2</code>, etc.
+   * @param {object} [opt]
+   * @param {string} [opt.srcLang]  The source language. Defaults to the
+   *                                 <code>srcLang</code> of this instance.
+   * @param {string} [opt.trgLang]  The target language.
+   * 
+   * @return {string}  The XLIFF document.
+   * 
+   * @public
+   * @method ReMarkup#exportXLIFF
+   */
+  exportXLIFF(fragments, opt) {
+    return xliff.exportXLIFF(this, fragments, opt);
+  }
+
+  /**
+   * Reads the <code>&lt;target&gt;</code> elements of an XLIFF 2.0 document
+   * created by {@link ReMarkup#exportXLIFF} and re-adds the original markup
+   * to them using {@link ReMarkup#reMarkup}. The markup is taken from the
+   * original fragments, never from the <code>&lt;originalData&gt;</code>
+   * of the translated document.
+   * 
+   * @param {string[]|object} fragments
+   *                   The original HTML fragments that were exported.
+   * @param {string} document  The translated XLIFF document.
+   * 
+   * @return {object}  An object mapping unit IDs to HTML fragments.
+   *                   Units without a target are left out.
+   * 
+   * @throws {Error}  If the document contains a translated unit that is
+   *                  not among the fragments.
+   * 
+   * @public
+   * @method ReMarkup#importXLIFF
+   */
+  importXLIFF(fragments, document) {
+    return xliff.importXLIFF(this, fragments, document);
+  }
+
+  /**
+   * Splits an HTML document into translatable segments.
+   * 
+   * Segments are the contents of block-level elements like
+   * <code>p</code>, <code>li</code>, <code>td</code>, headings or
+   * <code>title</code>, each run through {@link ReMarkup#unMarkup}
+   * separately, and translatable attributes (see
+   * {@link ReMarkup#semanticAttributes}) outside of these.
+   * 
+   * The segment IDs are derived from the segment content, so they
+   * stay the same when other parts of the document change.
+   * 
+   * @param {string} document  The HTML document or fragment.
+   * 
+   * @return {object[]}  A list of <code>{ id, type, attribute, source }</code>
+   *                     objects, where <code>type</code> is either
+   *                     <code>'element'</code> or <code>'attribute'</code>
+   *                     and <code>source</code> is the text to be translated.
+   * 
+   * @public
+   * @method ReMarkup#extractSegments
+   */
+  extractSegments(document) {
+    const root = this.load(document);
+    
+    return this.collectSegments(root).map(segment => {
+      const result = { id: segment.id, type: segment.type };
+      
+      if (segment.type === 'attribute') {
+        result.attribute = segment.attribute;
+        result.source = this.adapter.getAttribute(segment.element, segment.attribute);
+      } else {
+        result.source = this.unMarkup(dom.innerHTML(this.adapter, segment.element, this.parserOptions));
+      }
+      
+      return result;
+    });
+  }
+
+  /**
+   * Rebuilds an HTML document from translated segments.
+   * 
+   * Each translated element segment is re-marked with
+   * {@link ReMarkup#reMarkup}; everything outside of the segments
+   * and segments without translations are left untouched.
+   * 
+   * @param {string} document  The original HTML document or fragment.
+   * @param {object} translations
+   *                   An object mapping the IDs from
+   *                   {@link ReMarkup#extractSegments} to translated strings.
+   * @param {object} [opt]
+   * @param {string} [opt.lang]
+   *                   The target language, which is set as the <code>lang</code>
+   *                   attribute of the <code>&lt;html&gt;</code> element, along
+   *                   with <code>dir="rtl"</code> for right-to-left languages.
+   * 
+   * @return {string}  The translated document.
+   * 
+   * @public
+   * @method ReMarkup#reassembleSegments
+   */
+  reassembleSegments(document, translations, opt) {
+    opt = opt || {};
+    
+    const root = this.load(document);
+    
+    if (opt.lang) {
+      segments.setLanguage(this.adapter, root, opt.lang);
+    }
+    
+    const adapter = this.adapter;
+    this.collectSegments(root).forEach(segment => {
+      if (!Object.prototype.hasOwnProperty.call(translations, segment.id)) {
+        return;
+      }
+      
+      const element = segment.element;
+      const translated = translations[segment.id];
+      
+      if (segment.type === 'attribute') {
+        adapter.setAttribute(element, segment.attribute, translated);
+        return;
+      }
+      
+      // replace the content of the element
+      const content = this.load(this.reMarkup(dom.innerHTML(adapter, element, this.parserOptions), translated));
+      adapter.children(element).forEach(child => adapter.remove(child));
+      adapter.children(content).forEach(child => adapter.insertBefore(element, child, null));
+    });
+    
+    return adapter.html(root, this.parserOptions);
+  }
+
+  /**
+   * Finds the translatable segments of a parsed document.
+   * 
+   * @param {DOMElement} root  The document root.
+   * 
+   * @return {object[]}  A list of segments.
+   * 
+   * @private
+   * @method ReMarkup#collectSegments
+   */
+  collectSegments(root) {
+    const translatableAttributes = this.attributeSet(this.semanticAttributes());
+    
+    return segments.collectSegments(this.adapter, root,
+      (name, element) => translatableAttributes.test(name, element, element));
+  }
+}
+
+/**
+ * Pseudo-localizes a single string, like {@link ReMarkup#pseudoLocalize}
+ * does for texts and attributes.
+ * 
+ * @param {string} text  The input text.
+ * @param {object} [opt] See {@link ReMarkup#pseudoLocalize}.
+ * 
+ * @return {string}  The pseudo-localized text.
+ * 
+ * @public
+ * @function ReMarkup.pseudoLocalizeText
+ */
+ReMarkup.pseudoLocalizeText = pseudo.pseudoLocalizeText;
+
+/**
+ * The error thrown by {@link ReMarkup#reMarkup} in strict mode.
+ * Its <code>violations</code> property lists the reasons.
+ * 
+ * @public
+ * @constructor ReMarkup.ValidationError
+ */
+ReMarkup.ValidationError = validation.ValidationError;
+
+/**
+ * The error thrown by {@link ReMarkup#reMarkupSkeleton} when the
+ * skeleton does not belong to the current original fragment.
+ * Its <code>skeleton</code> property holds the skeleton.
+ * 
+ * @public
+ * @constructor ReMarkup.StaleSkeletonError
+ */
+ReMarkup.StaleSkeletonError = skeletons.StaleSkeletonError;
+
+/**
+ * Options for common template languages, for the <code>preset</code>
+ * option. Each preset masks interpolation expressions, and the Angular
+ * and Vue presets classify bound attributes (like <code>[title]</code>
+ * or <code>:title</code>) and preserve the case of attribute names.
+ * 
+ * <ul>
+ * <li><code>angular</code>: <code>{{ … }}</code> and ICU expressions like
+ *     <code>{count, plural, …}</code>; <code>[title]</code>,
+ *     <code>[attr.title]</code> and <code>bind-title</code> bindings.</li>
+ * <li><code>vue</code>: <code>{{ … }}</code>; <code>:title</code> and
+ *     <code>v-bind:title</code> bindings.</li>
+ * <li><code>handlebars</code>: <code>{{ … }}</code>, <code>{{{ … }}}</code>
+ *     and block helpers like <code>{{#if …}}</code>.</li>
+ * </ul>
+ * 
+ * @public
+ * @member ReMarkup.presets
+ */
+ReMarkup.presets = interpolation.presets;
+
+/**
+ * Built-in strategies for the <code>mergeRules</code> option.
+ * Each one is a function
+ * <code>(originalValue, translatedValue, name, originalElement, modifiedElement)</code>
+ * returning the merged value, or <code>undefined</code> for removing
+ * the attribute. Values are <code>undefined</code> when the attribute
+ * is missing on that side.
+ * 
+ * <ul>
+ * <li><code>original</code>: Always use the original value.</li>
+ * <li><code>translation</code>: Use the translated value, if there is one
+ *     (e.g. for <code>lang</code> or <code>dir</code>).</li>
+ * <li><code>union</code>: Combine space-separated tokens
+ *     (e.g. for <code>class</code>).</li>
+ * <li><code>style</code>: Merge CSS declarations, with the translated
+ *     ones taking precedence.</li>
+ * <li><code>localePath</code>: Use the translated URL only if it differs
+ *     from the original one in a locale path segment, like
+ *     <code>/en/about</code> → <code>/de/about</code>, where the original
+ *     segment must be the <code>srcLang</code> of the instance.</li>
+ * </ul>
+ * 
+ * @public
+ * @member ReMarkup.mergeStrategies
+ */
+ReMarkup.mergeStrategies = mergeStrategies;
+
+/**
+ * Whether an attribute can be used for injecting scripts, i.e. is an
+ * event handler like <code>onclick</code> or contains a
+ * <code>javascript:</code>, <code>vbscript:</code> or non-image
+ * <code>data:</code> URL.
+ * 
+ * @param {string} name   The attribute name.
+ * @param {string} value  The attribute value.
+ * 
+ * @return {boolean}
+ * 
+ * @public
+ * @function ReMarkup.isDangerousAttribute
+ */
+ReMarkup.isDangerousAttribute = validation.isDangerousAttribute;
+
+/**
+ * An element filter that removes dangerous attributes.
+ * (See {@link ReMarkup.isDangerousAttribute}).
+ * 
+ * @param {DOMElement} cElement  The target element.
+ * 
+ * @return {DOMElement}  The original target element.
+ * 
+ * @public
+ * @function ReMarkup.sanitize
+ */
+ReMarkup.sanitize = function (cElement) {
+  const adapter = callbackAdapter(this);
+  return validation.sanitize(adapter, adapter.unwrap(cElement));
+};
+
+/**
+ * An element filter for stripping whitespace after/before
+ * tags and newlines and collapse multiple spaces into a single one.
+ * 
+ * @param {DOMElement} cElement  The target element.
+ * 
+ * @return {DOMElement}  The original target element.
+ * 
+ * @public
+ * @function ReMarkup.stripSpaces
+ */
+ReMarkup.stripSpaces = function (cElement) {
+  const adapter = callbackAdapter(this);
+  const element = adapter.unwrap(cElement);
+  const children = adapter.children(element);
+  
+  for (let i = 0; i < children.length; ++i) {
+    const node = children[i];
+    if (!adapter.isText(node))
+      continue;
+    
+    // collapse multiple spaces
+    
+    /* only \t, \n, \r, space since other spaces (e.g. nbsp)
+     * may carry some semantic meaning */
+    let data = adapter.data(node)
+      .replace(/[\t\n\r ]+/g, ' ');
+    
+    // remove starting/ending whitespace
+    if (i == 0)
+      data = data.replace(/^[\t\n\r ]+/g, '');
+    
+    if (i == children.length - 1)
+      data = data.replace(/[\t\n\r ]+$/g, '');
+    
+    adapter.setData(node, data);
+  }
+  
+  return element;
+};
+
+/**
+ * Creates a default element filter that removes most attributes.
+ * 
+ * @param {string[]} keepAttributes
+ *                     A list of strings and/or regex objects that
+ *                     element attributes are validated against.
+ * 
+ * @return {function}  An element filter that removes all attributes
+ *                     but those specified as preserved.
+ * 
+ * @public
+ * @function ReMarkup.defaultElementFilter
+ */
+ReMarkup.defaultElementFilter = function (keepAttributes) {
+  return function (cElement) {
+    const adapter = callbackAdapter(this);
+    const element = adapter.unwrap(cElement);
+    
+    // scoped rules are matched against the element in its unmodified
+    // document, since the attributes of its ancestors may be removed already
+    const originalElement = this instanceof ReMarkup ? this.pristineElement(element) : element;
+    
+    adapter.attributeNames(element)
+      .filter(attrName => !keepAttributes.test(attrName, element, originalElement))
+      .forEach(attrName => adapter.removeAttribute(element, attrName));
+  };
+};
+
+/**
+ * The default element metric.
+ * This compares elements and their position in the DOM tree
+ * and returns a number that indicates how un-similar the
  * given elements are.
  * 
  * This returns a distance of 0 for elements which share the 
  * same value for either of the <code>id</code>, 
  * <code>translate-id</code> or <code>remarkup-id</code> attributes.
+ * All other distances are computed with the instance's
+ * <code>weights</code> (see {@link ReMarkup.defaultWeights}).
  * 
  * @public
  * @function ReMarkup.defaultRawElementMetric
  */
 ReMarkup.defaultRawElementMetric = function (e1, e2, e1i, e2i, e1pl, e2pl) {
+  const weights = this.weights || ReMarkup.defaultWeights;
+  const adapter = callbackAdapter(this);
+  const n1 = adapter.unwrap(e1), n2 = adapter.unwrap(e2);
+  
+  // scoped rules are matched against the element in the original
+  // document, since unMarkup may have removed the attributes they select
+  const o1 = this instanceof ReMarkup ? this.pristineElement(n1) : n1;
+  
   // attributes that lead to definite matching of elements
   const identAttr = ['id', 'translate-id', 'remarkup-id'];
   
   for (let i = 0; i < identAttr.length; ++i) {
-    if (typeof e1.attr(identAttr[i]) !== 'undefined' &&
-        typeof e2.attr(identAttr[i]) !== 'undefined' &&
-        e1.attr(identAttr[i]) === e2.attr(identAttr[i])) {
+    if (typeof adapter.getAttribute(n1, identAttr[i]) !== 'undefined' &&
+        typeof adapter.getAttribute(n2, identAttr[i]) !== 'undefined' &&
+        adapter.getAttribute(n1, identAttr[i]) === adapter.getAttribute(n2, identAttr[i])) {
       return 0;
     }
   }
   
-  let distance = 5; // minimum distance for elements with different IDs
-  assert.ok(e1[0].tagName);
-  assert.ok(e2[0].tagName);
-  if (e1[0].tagName !== e2[0].tagName) {
-    distance += 3;
+  let distance = weights.base; // minimum distance for elements with different IDs
+  assert.ok(adapter.tagName(n1));
+  assert.ok(adapter.tagName(n2));
+  if (dom.expandedName(adapter, n1) !== dom.expandedName(adapter, n2)) {
+    distance += weights.tagName;
   }
   
-  const e1attribs = Object.keys(e1.attr() || {});
-  const e2attribs = Object.keys(e2.attr() || {});
+  // prefixed attribute names are compared by their namespace
+  const e1names = adapter.attributeNames(n1);
+  const e2names = adapter.attributeNames(n2);
+  const e1attribs = e1names.map(name => dom.qualifiedName(adapter, name, n1));
+  const e2attribs = e2names.map(name => dom.qualifiedName(adapter, name, n2));
   for (let i = 0; i < e1attribs.length; ++i) {
     if (e2attribs.indexOf(e1attribs[i]) === -1 &&
-        !this.keepAttributes.test(e1attribs[i])) {
-      distance++;
+        !this.keepAttributes.test(e1names[i], n1, o1)) {
+      distance += weights.attribute;
     }
   }
   
   for (let i = 0; i < e2attribs.length; ++i) {
-    if (this.keepAttributes.test(e2attribs[i])) {
+    if (this.keepAttributes.test(e2names[i], n2, o1)) {
       continue;
     }
     
-    if (e1attribs.indexOf(e2attribs[i]) === -1) {
-      distance++;
+    const j = e1attribs.indexOf(e2attribs[i]);
+    if (j === -1) {
+      distance += weights.attribute;
     } else {
-      const attrValue1 = e1.attr(e2attribs[i]);
-      const attrValue2 = e2.attr(e2attribs[i]);
+      const attrValue1 = adapter.getAttribute(n1, e1names[j]);
+      const attrValue2 = adapter.getAttribute(n2, e2names[i]);
       
       if (attrValue1 !== attrValue2) {
-        distance += 2 * Math.log(levenshtein(attrValue1, attrValue2));
+        distance += weights.attributeValue * Math.log(levenshtein(attrValue1, attrValue2));
       }
     }
   }
   
   const positionDistance = Math.abs(e1i - e2i);
   if (positionDistance > 0)
-    distance += 2 * Math.log(positionDistance) + 1;
+    distance += weights.position * Math.log(positionDistance) + weights.positionOffset;
   
   return distance;
 };
 
+/**
+ * An element metric that, in addition to
+ * {@link ReMarkup.defaultRawElementMetric}, compares the text content
+ * of the elements by signals that usually survive translation:
+ * Numbers, URLs, email addresses, interpolation placeholders
+ * (like <code>{{name}}</code>, <code>{name}</code> or <code>%s</code>),
+ * words that are likely to stay untranslated (like brand names)
+ * and the relative text length.
+ * 
+ * Pass this as the <code>rawElementMetric</code> option.
+ * 
+ * @public
+ * @function ReMarkup.textRawElementMetric
+ */
+ReMarkup.textRawElementMetric = function (e1, e2, e1i, e2i, e1pl, e2pl) {
+  const distance = ReMarkup.defaultRawElementMetric.call(this, e1, e2, e1i, e2i, e1pl, e2pl);
+  if (distance === 0) {
+    return 0;
+  }
+  
+  const weights = this.weights || ReMarkup.defaultWeights;
+  const adapter = callbackAdapter(this);
+  return distance + weights.text *
+    content.contentDistance(adapter.text(adapter.unwrap(e1)), adapter.text(adapter.unwrap(e2)));
+};
+
+/**
+ * The default weights of the element metrics, which the
+ * <code>weights</code> option of {@link ReMarkup} overrides:
+ * 
+ * <ul>
+ * <li><code>base</code>: The distance of elements with different IDs (5).</li>
+ * <li><code>tagName</code>: Added for different tag names (3).</li>
+ * <li><code>attribute</code>: Added per attribute that only one of the
+ *     elements has (1).</li>
+ * <li><code>attributeValue</code>: The factor of the logarithm of the
+ *     Levenshtein distance of different attribute values (2).</li>
+ * <li><code>position</code>: The factor of the logarithm of the distance
+ *     of the element positions (2).</li>
+ * <li><code>positionOffset</code>: Added for different positions (1).</li>
+ * <li><code>text</code>: The factor of the text content distance
+ *     in {@link ReMarkup.textRawElementMetric} (1).</li>
+ * <li><code>nonexistentChild</code>: Added per child element that only
+ *     one of the elements has, like the <code>nonexistentChildDistance</code>
+ *     option (10).</li>
+ * </ul>
+ * 
+ * @public
+ * @member ReMarkup.defaultWeights
+ */
+ReMarkup.defaultWeights = {
+  base: 5,
+  tagName: 3,
+  attribute: 1,
+  attributeValue: 2,
+  position: 2,
+  positionOffset: 1,
+  text: 1,
+  nonexistentChild: 10
+};
+
+/**
+ * Searches for the element metric weights that re-mark a corpus of
+ * translations most accurately. Starting from the default weights
+ * (or the <code>weights</code> in <code>opt.options</code>), each weight is
+ * scaled up and down in turn, keeping changes that increase the share
+ * of elements whose attributes match the expected result.
+ * 
+ * @param {object[]} corpus
+ *       A list of <code>{ original, translated, expected }</code> objects,
+ *       where <code>translated</code> is an un-marked translation and
+ *       <code>expected</code> the correctly re-marked translation.
+ * @param {object} [opt]
+ * @param {object} [opt.options]  Other options for the {@link ReMarkup}
+ *                                constructor.
+ * @param {number} [opt.rounds]   The maximum number of passes over all
+ *                                weights. The default is 3.
+ * 
+ * @return {object}  An object <code>{ weights, accuracy, correct, total,
+ *                   initialAccuracy }</code> with the best weights found,
+ *                   their accuracy (between 0 and 1), the numbers of
+ *                   correct and all expected elements and the accuracy
+ *                   of the initial weights.
+ * 
+ * @public
+ * @function ReMarkup.calibrate
+ */
+ReMarkup.calibrate = function (corpus, opt) {
+  return calibration.calibrate(ReMarkup, corpus, opt);
+};
+
+/**
+ * The DOM adapters, which let {@link ReMarkup} work on different DOM
+ * implementations (see the <code>adapter</code> option):
+ * 
+ * <ul>
+ * <li><code>cheerio</code>: The nodes of cheerio and <code>htmlparser2</code>,
+ *     for Node.js.</li>
+ * <li><code>dom(document)</code>: Creates an adapter for the standard DOM API,
+ *     e.g. for <code>window.document</code> in browsers or a jsdom document.
+ *     Fragments are parsed into <code>DocumentFragment</code>s of that
+ *     document, and element filters get the native elements.</li>
+ * </ul>
+ * 
+ * An adapter is an object with the following functions on the nodes of its
+ * implementation: <code>parse(html, options)</code> and
+ * <code>html(node, options)</code>, which parse a fragment into a root node
+ * and serialize a node; <code>isRoot</code>, <code>isElement</code>,
+ * <code>isText</code>, <code>tagName</code>, <code>rename</code>,
+ * <code>children</code>, <code>parent</code>, <code>attributeNames</code>,
+ * <code>getAttribute</code>, <code>setAttribute</code>,
+ * <code>removeAttribute</code>, <code>data</code>, <code>setData</code>,
+ * <code>text</code>, <code>find(node, selector, options)</code>,
+ * <code>matches(node, selector, options)</code>,
+ * <code>clone(node, deep)</code>, <code>createElement</code>,
+ * <code>createText</code>, <code>createComment</code>,
+ * <code>insertBefore(parent, node, reference)</code> and
+ * <code>remove</code>; and <code>wrap(node, options)</code> and
+ * <code>unwrap</code>, which convert nodes to the values passed to
+ * element filters, metrics and attribute functions and back.
+ * 
+ * @public
+ * @member ReMarkup.adapters
+ */
+ReMarkup.adapters = {
+  cheerio: cheerioAdapter,
+  dom: domAdapter
+};
+
+/**
+ * The DOM adapter used by instances without an <code>adapter</code>
+ * option, initially <code>ReMarkup.adapters.cheerio</code>.
+ * 
+ * @public
+ * @member ReMarkup.defaultAdapter
+ */
+ReMarkup.defaultAdapter = cheerioAdapter;
+
 module.exports = ReMarkup;
 
-// copy all DOM attributes from src to dst
-function copyAttributes (src, dst, ignored) {
-  ignored = ignored || [];
+// the DOM adapter for the built-in element filters and metrics, which are
+// called with the instance as this, or directly with cheerio objects
+function callbackAdapter (rm) {
+  return rm instanceof ReMarkup ? rm.adapter : cheerioAdapter;
+}
+
+// find the assignment of rows to columns with the minimal total distance,
+// as a list of [row, column] pairs
+function minimalAssignment (matrix) {
+  const rows = matrix.length, columns = matrix[0].length;
+  
+  // when every row has its minimum in a different column (or vice versa,
+  // if there are more rows than columns), these minima are the optimal
+  // assignment, which is the common case for unchanged structures
+  const argmin = values => values.reduce((min, v, i) => v < values[min] ? i : min, 0);
+  
+  if (rows <= columns) {
+    const minima = matrix.map(argmin);
+    if (new Set(minima).size === rows) {
+      return minima.map((j, i) => [i, j]);
+    }
+  } else {
+    const minima = matrix[0].map((v, j) => argmin(matrix.map(row => row[j])));
+    if (new Set(minima).size === columns) {
+      return minima.map((i, j) => [i, j]);
+    }
+  }
+  
+  if (rows * columns <= exactAssignmentSize) {
+    return new munkres.Munkres().compute(matrix);
+  }
+  
+  // for larger matrices, pairs whose elements are each other's closest
+  // match are assigned directly, so that the Hungarian algorithm (which
+  // takes cubic time) only runs on the remaining rows and columns, like
+  // the elements that were moved or changed
+  let freeRows = matrix.map((row, i) => i);
+  let freeColumns = matrix[0].map((v, j) => j);
+  const pairs = [];
+  
+  while (freeRows.length > 0 && freeColumns.length > 0) {
+    const rowMinima = freeRows.map(i => freeColumns[argmin(freeColumns.map(j => matrix[i][j]))]);
+    const columnMinima = new Map(freeColumns.map(j => [j, freeRows[argmin(freeRows.map(i => matrix[i][j]))]]));
+    
+    const mutual = freeRows.map((i, k) => [i, rowMinima[k]]).filter(pair => columnMinima.get(pair[1]) === pair[0]);
+    if (mutual.length === 0) {
+      break;
+    }
+    
+    pairs.push.apply(pairs, mutual);
+    
+    const assignedRows = new Set(mutual.map(pair => pair[0]));
+    const assignedColumns = new Set(mutual.map(pair => pair[1]));
+    freeRows = freeRows.filter(i => !assignedRows.has(i));
+    freeColumns = freeColumns.filter(j => !assignedColumns.has(j));
+  }
+  
+  if (freeRows.length > 0 && freeColumns.length > 0) {
+    const rest = new munkres.Munkres().compute(freeRows.map(i => freeColumns.map(j => matrix[i][j])));
+    pairs.push.apply(pairs, rest.map(index => [freeRows[index[0]], freeColumns[index[1]]]));
+  }
+  
+  return pairs.sort((a, b) => a[0] - b[0]);
+}
+
+// the length of the text content of a node
+function textLength (adapter, node) {
+  if (adapter.isText(node)) {
+    return adapter.data(node).length;
+  }
+  
+  return adapter.children(node).reduce((sum, child) => sum + textLength(adapter, child), 0);
+}
+
+// re-insert unmatched original elements without text content (or, if given,
+// those accepted by shouldRestore) into the modified document, returning
+// the indices of the restored elements
+function restoreDroppedElements (adapter, match, modDoc, shouldRestore) {
+  shouldRestore = shouldRestore || (e => adapter.text(e).trim() === '');
+  
+  const origToMod = new Map();
+  for (let pair of match.pairs) {
+    origToMod.set(match.origElements[pair.original], match.modElements[pair.modified]);
+  }
+  
+  const counterpart = node => adapter.isRoot(node) ? modDoc : origToMod.get(node);
+  const length = node => textLength(adapter, node);
+  const restored = [];
+  
+  match.origElements.forEach((e1, i) => {
+    if (origToMod.has(e1) || !shouldRestore(e1)) {
+      return;
+    }
+    
+    const p2 = counterpart(adapter.parent(e1));
+    if (!p2) {
+      return;
+    }
+    
+    // the nearest siblings which are matched to children of the new parent
+    const siblings1 = adapter.children(adapter.parent(e1));
+    const index1 = siblings1.indexOf(e1);
+    const isAnchor = node => adapter.isElement(node) && origToMod.has(node) &&
+      adapter.parent(origToMod.get(node)) === p2;
+    
+    let prev1 = index1 - 1, next1 = index1 + 1;
+    while (prev1 >= 0 && !isAnchor(siblings1[prev1])) --prev1;
+    while (next1 < siblings1.length && !isAnchor(siblings1[next1])) ++next1;
+    
+    // the relative text position of the element between these siblings
+    const textBefore = siblings1.slice(prev1 + 1, index1).reduce((sum, n) => sum + length(n), 0);
+    const textAfter  = siblings1.slice(index1 + 1, next1).reduce((sum, n) => sum + length(n), 0);
+    const ratio = textBefore + textAfter > 0 ? textBefore / (textBefore + textAfter) : 0;
+    
+    // the same region in the modified document
+    const siblings2 = adapter.children(p2);
+    const start = prev1 >= 0 ? siblings2.indexOf(origToMod.get(siblings1[prev1])) + 1 : 0;
+    const end = next1 < siblings1.length ? siblings2.indexOf(origToMod.get(siblings1[next1])) : siblings2.length;
+    const region = siblings2.slice(start, end);
+    
+    let target = Math.round(ratio * region.reduce((sum, n) => sum + length(n), 0));
+    const clone = adapter.clone(e1, true);
+    
+    let inserted = false;
+    for (let node of region) {
+      const nodeLength = length(node);
+      if (target > nodeLength ||
+          (target === nodeLength && nodeLength > 0 && node !== region[region.length - 1])) {
+        target -= nodeLength;
+        continue;
+      }
+      
+      if (adapter.isText(node) && target > 0 && target < nodeLength) {
+        // split the text at the nearest word boundary
+        const data = adapter.data(node);
+        const boundaries = [];
+        data.replace(/\s+/g, (ws, offset) => boundaries.push(offset + ws.length));
+        const split = boundaries.reduce((best, b) =>
+          Math.abs(b - target) < Math.abs(best - target) ? b : best, target);
+        
+        adapter.setData(node, data.slice(0, split));
+        dom.insertAfter(adapter, clone, node);
+        if (split < data.length) {
+          dom.insertAfter(adapter, adapter.createText(data.slice(split), node), clone);
+        }
+      } else if (target === 0) {
+        adapter.insertBefore(p2, clone, node);
+      } else {
+        dom.insertAfter(adapter, clone, node);
+      }
+      
+      inserted = true;
+      break;
+    }
+    
+    if (!inserted) {
+      if (start > 0) {
+        dom.insertAfter(adapter, clone, siblings2[start - 1]);
+      } else {
+        adapter.insertBefore(p2, clone, adapter.children(p2)[0]);
+      }
+    }
+    
+    // map the restored subtree so that later elements can use it as an anchor
+    const origSubtree = [e1].concat(dom.elements(adapter, e1));
+    const modSubtree = [clone].concat(dom.elements(adapter, clone));
+    origSubtree.forEach((e, k) => origToMod.set(e, modSubtree[k]));
+    
+    restored.push(i);
+  });
+  
+  return restored;
+}
+
+// the tag name, normalized text and child tag names of an element
+function elementSummary (adapter, element) {
+  return [
+    adapter.tagName(element),
+    adapter.text(element).replace(/\s+/g, ' ').trim(),
+    dom.childElements(adapter, element).map(child => adapter.tagName(child)).join(' ')
+  ];
+}
+
+// match the elements of two versions of a document in the same language:
+// identical elements are matched as a longest common subsequence, and the
+// remaining ones in between if they differ in at most their text or tag name
+function diffElements (adapter, elements1, elements2) {
+  const summaries1 = elements1.map(e => elementSummary(adapter, e));
+  const summaries2 = elements2.map(e => elementSummary(adapter, e));
+  const keys1 = summaries1.map(summary => summary.join('\0'));
+  const keys2 = summaries2.map(summary => summary.join('\0'));
+  const n = keys1.length, m = keys2.length;
+  
+  // lengths[i][j] is the length of the longest common subsequence
+  // of keys1.slice(i) and keys2.slice(j)
+  const lengths = [];
+  for (let i = n; i >= 0; --i) {
+    lengths[i] = new Int32Array(m + 1);
+    for (let j = m - 1; j >= 0 && i < n; --j) {
+      lengths[i][j] = keys1[i] === keys2[j] ? lengths[i + 1][j + 1] + 1 :
+        Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const pairs = [];
+  let gap1 = [], gap2 = [];
+  
+  const flushGaps = () => {
+    if (gap1.length > 0 && gap2.length > 0) {
+      const distance = (i, j) => summaries1[i].reduce((sum, part, k) =>
+        sum + (part === summaries2[j][k] ? 0 : [2, 1, 1][k]), 0);
+      
+      const distances = gap1.map(i => gap2.map(j => distance(i, j)));
+      for (let index of minimalAssignment(distances)) {
+        // elements with different tag names and text are unrelated
+        if (distances[index[0]][index[1]] < 3) {
+          pairs.push({ original: gap1[index[0]], modified: gap2[index[1]] });
+        }
+      }
+    }
+    
+    gap1 = [];
+    gap2 = [];
+  };
+  
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (keys1[i] === keys2[j]) {
+      flushGaps();
+      pairs.push({ original: i++, modified: j++ });
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      gap1.push(i++);
+    } else {
+      gap2.push(j++);
+    }
+  }
+  
+  while (i < n) gap1.push(i++);
+  while (j < m) gap2.push(j++);
+  flushGaps();
+  
+  return pairs;
+}
+
+// wrap the counterparts of the children of unmatched original elements
+// into copies of these elements, if the children are matched adjacent siblings
+// and the element has no text of its own; the new pairs are added to the match
+function wrapAddedElements (adapter, match) {
+  const origToMod = new Map();
+  for (let pair of match.pairs) {
+    origToMod.set(match.origElements[pair.original], match.modElements[pair.modified]);
+  }
+  
+  // inner elements first, so that nested wrappers can use them
+  for (let i = match.origElements.length - 1; i >= 0; --i) {
+    const e1 = match.origElements[i];
+    const children1 = dom.childElements(adapter, e1);
+    
+    if (origToMod.has(e1) || children1.length === 0 ||
+        !children1.every(child => origToMod.has(child)) ||
+        adapter.children(e1).some(child => adapter.isText(child) && adapter.data(child).trim() !== '')) {
+      continue;
+    }
+    
+    const children2 = children1.map(child => origToMod.get(child));
+    const p2 = adapter.parent(children2[0]);
+    if (!children2.every(child => adapter.parent(child) === p2)) {
+      continue;
+    }
+    
+    const siblings2 = adapter.children(p2);
+    const indices = children2.map(child => siblings2.indexOf(child));
+    const range = siblings2.slice(Math.min.apply(Math, indices), Math.max.apply(Math, indices) + 1);
+    if (range.some(node => adapter.isElement(node) && children2.indexOf(node) === -1)) {
+      continue;
+    }
+    
+    const wrapper = adapter.clone(e1, false);
+    adapter.insertBefore(p2, wrapper, range[0]);
+    range.forEach(node => adapter.insertBefore(wrapper, node, null));
+    
+    origToMod.set(e1, wrapper);
+    match.modElements.push(wrapper);
+    match.pairs.push({ original: i, modified: match.modElements.length - 1 });
+  }
+}
+
+// apply the attribute and tag name changes between two versions of an
+// original element to the counterpart of the old version in a translation,
+// returning the counterpart, which renaming may have replaced
+function applyElementChanges (adapter, oldElement, newElement, translated, keepAttributes) {
+  if (adapter.tagName(oldElement) !== adapter.tagName(newElement)) {
+    translated = adapter.rename(translated, adapter.tagName(newElement));
+  }
+  
+  const names = adapter.attributeNames(oldElement).concat(adapter.attributeNames(newElement));
+  
+  for (let name of names) {
+    const oldValue = adapter.getAttribute(oldElement, name);
+    const newValue = adapter.getAttribute(newElement, name);
+    if (oldValue === newValue) {
+      continue;
+    }
+    
+    // translated attributes are kept; their segments are reported as changed
+    const translatedValue = adapter.getAttribute(translated, name);
+    if (keepAttributes.test(name, translated, newElement) &&
+        typeof translatedValue !== 'undefined' &&
+        translatedValue !== oldValue) {
+      continue;
+    }
+    
+    if (typeof newValue === 'undefined') {
+      adapter.removeAttribute(translated, name);
+    } else {
+      adapter.setAttribute(translated, name, newValue);
+    }
+  }
+  
+  return translated;
+}
+
+// the full strict mode policy for the strict constructor option
+function strictPolicy (strict) {
+  return Object.assign({
+    newTags: true,
+    elementCount: true,
+    newAttributes: true,
+    sanitize: true,
+    action: 'throw'
+  }, strict === true ? {} : strict);
+}
+
+// a CSS-like path describing the position of an element, e.g. "span:nth-child(1) > em:nth-child(2)"
+function elementPath (adapter, element) {
+  const parts = [];
+  
+  for (let e = element; e && adapter.isElement(e); e = adapter.parent(e)) {
+    const siblings = dom.childElements(adapter, adapter.parent(e));
+    parts.unshift(adapter.tagName(e) + ':nth-child(' + (siblings.indexOf(e) + 1) + ')');
+  }
+  
+  return parts.join(' > ');
+}
+
+// replace all elements by numbered tokens, in document order
+// or as given by a map of elements to token numbers
+function serializeTokens (adapter, root, ids, options) {
+  let counter = 0;
+  
+  const serialize = node => adapter.children(node).map(child => {
+    if (!adapter.isElement(child)) {
+      return adapter.html(child);
+    }
+    
+    const n = ids ? ids.get(child) : ++counter;
+    if (adapter.children(child).length === 0 &&
+        (dom.isVoid(adapter, child, options) || adapter.tagName(child) === interpolation.placeholderTag)) {
+      return '<x' + n + '/>';
+    }
+    
+    return '<' + n + '>' + serialize(child) + '</' + n + '>';
+  }).join('');
+  
+  return serialize(root);
+}
+
+// split a token string into a list of text and token entries
+function parseTokens (string) {
+  const tokenRegexp = /<(\d+)>|<\/(\d+)>|<x(\d+)\s*\/>/g;
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = tokenRegexp.exec(string)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', text: string.slice(lastIndex, match.index) });
+    }
+    
+    if (match[1]) {
+      tokens.push({ type: 'open', id: +match[1] });
+    } else if (match[2]) {
+      tokens.push({ type: 'close', id: +match[2] });
+    } else {
+      tokens.push({ type: 'void', id: +match[3] });
+    }
+    
+    lastIndex = tokenRegexp.lastIndex;
+  }
+  
+  if (lastIndex < string.length) {
+    tokens.push({ type: 'text', text: string.slice(lastIndex) });
+  }
+  
+  return tokens;
+}
+
+// whether a token list refers to all elements 1…count exactly once,
+// with properly nested opening and closing tokens
+function tokensAreComplete (tokens, count) {
+  const seen = [];
+  const stack = [];
+  
+  for (let token of tokens) {
+    if (token.type === 'text') {
+      continue;
+    }
+    
+    if (token.type === 'close') {
+      if (stack.pop() !== token.id) {
+        return false;
+      }
+      
+      continue;
+    }
+    
+    if (token.id < 1 || token.id > count || seen.indexOf(token.id) !== -1) {
+      return false;
+    }
+    
+    seen.push(token.id);
+    if (token.type === 'open') {
+      stack.push(token.id);
+    }
+  }
+  
+  return stack.length === 0 && seen.length === count;
+}
+
+// replace tokens by the tags of the corresponding elements;
+// tokens that do not refer to any element are dropped
+function tokensToHTML (adapter, tokens, elements, options) {
+  return tokens.map(token => {
+    // texts are HTML, but translators may type a literal < or &,
+    // which are escaped unless they start a comment or an entity
+    if (token.type === 'text') {
+      return token.text
+        .replace(/&(?![a-z][a-z0-9]*;|#\d+;|#x[0-9a-f]+;)/gi, '&amp;')
+        .replace(/<(?!!--)/g, '&lt;');
+    }
+    
+    const element = elements[token.id - 1];
+    if (!element) {
+      return '';
+    }
+    
+    const parts = dom.tagParts(adapter, element, options);
+    switch (token.type) {
+      case 'open':  return parts[0];
+      case 'close': return parts[1];
+      default:      return parts[0] + parts[1];
+    }
+  }).join('');
+}
+
+// copy all DOM attributes from src to dst, or merge them according to
+// the first matching merge rule of a ReMarkup instance
+function copyAttributes (rm, src, dst) {
+  const adapter = rm.adapter;
+  
+  const srcAttribs = adapter.attributeNames(src);
+  const dstAttribs = adapter.attributeNames(dst).filter(name => srcAttribs.indexOf(name) === -1);
+  const allAttribs = srcAttribs.concat(dstAttribs);
   
-  const srcAttribs = Object.keys(src.attribs || src.attributes);
-  for (let i = 0; i < srcAttribs.length; ++i) {
-    if (!ignored.test(srcAttribs[i], $(dst), $(src))) {
-      dst.attribs[srcAttribs[i]] = src.attribs[srcAttribs[i]];
+  for (let i = 0; i < allAttribs.length; ++i) {
+    const name = allAttribs[i];
+    const rule = rm.mergeRules.find(rule =>
+      (!rule.tags || rule.tags.indexOf(adapter.tagName(src)) !== -1) &&
+      rule.attributes.test(name, dst, src));
+    
+    if (rule) {
+      const value = rule.merge.call(rm, adapter.getAttribute(src, name), adapter.getAttribute(dst, name),
+        name, rm.wrap(src), rm.wrap(dst));
+      if (typeof value === 'undefined') {
+        adapter.removeAttribute(dst, name);
+      } else {
+        adapter.setAttribute(dst, name, value);
+      }
+      
+      continue;
+    }
+    
+    if (i < srcAttribs.length && !rm.keepAttributes.test(name, dst, src)) {
+      adapter.setAttribute(dst, name, adapter.getAttribute(src, name));
     }
   }
 }
@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const bin = path.join(__dirname, '..', 'bin', 'remarkup.js');
+
+describe('remarkup command line tool', function() {
+  this.timeout(10000);
+
+  const original = '<p class="intro">Bananas are <em id="e" style="color: red">great</em>!</p>';
+  let dir;
+
+  const run = (args, input) => childProcess.spawnSync(process.execPath, [bin].concat(args), {
+    cwd: dir,
+    input: input || '',
+    encoding: 'utf8'
+  });
+
+  const write = (file, content) => {
+    const dirname = path.dirname(path.join(dir, file));
+    if (!fs.existsSync(dirname)) {
+      fs.mkdirSync(dirname);
+    }
+
+    fs.writeFileSync(path.join(dir, file), content);
+  };
+
+  const read = file => fs.readFileSync(path.join(dir, file), 'utf8');
+
+  beforeEach(function() {
+    dir = path.join(os.tmpdir(), 'remarkup-cli-' + process.pid + '-' + Date.now());
+    fs.mkdirSync(dir);
+  });
+
+  afterEach(function() {
+    const remove = p => {
+      if (fs.statSync(p).isDirectory()) {
+        fs.readdirSync(p).forEach(name => remove(path.join(p, name)));
+        fs.rmdirSync(p);
+      } else {
+        fs.unlinkSync(p);
+      }
+    };
+
+    remove(dir);
+  });
+
+  it('should un-mark stdin to stdout', function() {
+    const result = run(['un'], original);
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout, '<p>Bananas are <em id="e">great</em>!</p>');
+  });
+
+  it('should re-mark a file', function() {
+    write('original.html', original);
+    write('translated.html', '<p>Bananen sind <em id="e">toll</em>!</p>');
+
+    const result = run(['re', 'original.html', 'translated.html', 'output.html']);
+    assert.equal(result.status, 0);
+    assert.equal(read('output.html'),
+      '<p class="intro">Bananen sind <em id="e" style="color: red">toll</em>!</p>');
+  });
+
+  it('should mirror directory trees', function() {
+    write('src/a.html', original);
+    write('src/sub/b.html', '<div class="box" title="Box">Text</div>');
+    write('src/notes.txt', 'not HTML');
+
+    assert.equal(run(['un', 'src', 'out']).status, 0);
+    assert.equal(read('out/a.html'), '<p>Bananas are <em id="e">great</em>!</p>');
+    assert.equal(read('out/sub/b.html'), '<div title="Box">Text</div>');
+    assert.ok(!fs.existsSync(path.join(dir, 'out', 'notes.txt')));
+
+    write('de/a.html', '<p>Bananen sind <em id="e">toll</em>!</p>');
+    write('de/sub/b.html', '<div title="Kiste">Text</div>');
+
+    assert.equal(run(['re', 'src', 'de', 'result']).status, 0);
+    assert.equal(read('result/sub/b.html'), '<div title="Kiste" class="box">Text</div>');
+  });
+
+  it('should load options from a JSON config', function() {
+    write('config.json', JSON.stringify({
+      keepAttributes: ['class', '/^data-/'],
+      stripSpaces: true
+    }));
+
+    const result = run(['un', '-c', 'config.json'],
+      '<p class="a" data-x="1" style="b">  Bananas   are great </p>');
+    assert.equal(result.stdout, '<p class="a" data-x="1">Bananas are great</p>');
+  });
+
+  it('should load scoped attribute rules from a JSON config', function() {
+    write('config.json', JSON.stringify({
+      keepAttributes: [{ selector: 'a.external', attributes: ['/^data-track-/'] }]
+    }));
+
+    const result = run(['un', '-c', 'config.json'],
+      '<a class="external" data-track-id="1">A</a><a data-track-id="2">B</a>');
+    assert.equal(result.stdout, '<a data-track-id="1">A</a><a>B</a>');
+  });
+
+  it('should exit with code 2 below the confidence threshold', function() {
+    write('original.html', original);
+
+    const good = run(['re', '--threshold', '0.9', 'original.html'],
+      '<p>Bananen sind <em id="e">toll</em>!</p>');
+    assert.equal(good.status, 0);
+
+    const bad = run(['re', '--threshold', '0.9', 'original.html'],
+      '<p>Bananen sind toll!</p><i>Wirklich</i>');
+    assert.equal(bad.status, 2);
+    assert.ok(bad.stderr.match(/below the threshold/));
+  });
+
+  it('should calibrate the metric weights on a corpus', function() {
+    write('corpus.json', JSON.stringify([{
+      original: '<ul><li class="a">Item 1</li><li class="b">Item 22</li><li class="c">Item 333</li></ul>',
+      translated: '<ul><li>Punkt 22</li><li>Punkt 333</li></ul>',
+      expected: '<ul><li class="b">Punkt 22</li><li class="c">Punkt 333</li></ul>'
+    }]));
+
+    const result = run(['calibrate', 'corpus.json']);
+    assert.equal(result.status, 0);
+    assert.ok(result.stdout.match(/^Accuracy: 100\.0% \(3\/3 elements\), 33\.3% with the initial weights\n/));
+    assert.equal(JSON.parse(result.stdout.slice(result.stdout.indexOf('{'))).weights.positionOffset, 0);
+  });
+
+  it('should exit with code 1 on usage errors', function() {
+    const result = run(['frobnicate']);
+    assert.equal(result.status, 1);
+    assert.ok(result.stderr.match(/Usage: remarkup/));
+  });
+});
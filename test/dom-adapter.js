@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('assert');
+const jsdom = require('jsdom');
+
+const ReMarkup = require('../');
+
+// runs the other test files again, with all instances
+// working on the standard DOM API of a jsdom document
+describe('with the standard DOM adapter', function() {
+  let defaultAdapter;
+
+  before(function() {
+    defaultAdapter = ReMarkup.defaultAdapter;
+    ReMarkup.defaultAdapter = ReMarkup.adapters.dom(jsdom.jsdom(''));
+  });
+
+  after(function() {
+    ReMarkup.defaultAdapter = defaultAdapter;
+  });
+
+  // the files are removed from the module cache again,
+  // so that mocha still loads them on their own
+  ['./remarkup', './segments', './xliff'].forEach(file => {
+    delete require.cache[require.resolve(file)];
+    require(file);
+    delete require.cache[require.resolve(file)];
+  });
+
+  describe('element filters', function() {
+    it('should receive native DOM elements', function() {
+      const tagNames = [];
+      const rm = new ReMarkup({
+        additionalElementFilters: [node => {
+          // the document root is passed as well
+          if (node.nodeType === 1) {
+            assert.strictEqual(typeof node.getAttribute, 'function');
+            tagNames.push(node.tagName.toLowerCase());
+          }
+        }]
+      });
+
+      assert.equal(rm.unMarkup('<p class="x">A <em>b</em></p>'), '<p>A <em>b</em></p>');
+      assert.deepEqual(tagNames, ['p', 'em']);
+    });
+  });
+
+  describe('DOM adapter', function() {
+    it('should keep attribute names that the DOM API does not accept', function() {
+      const rm = new ReMarkup();
+      const original = '<button [title]="t" @click="go()" :foo="1">Go</button>';
+
+      assert.equal(rm.reMarkup(original, rm.unMarkup(original)), original);
+    });
+
+    it('should keep tag and attribute name case in XML mode', function() {
+      const rm = new ReMarkup({ xml: true });
+      const original = '<svg viewBox="0 0 10 10"><linearGradient id="g"/><text x="1">Hi</text></svg>';
+
+      assert.equal(rm.reMarkup(original, '<svg><linearGradient id="g"/><text>Hallo</text></svg>'),
+        '<svg viewBox="0 0 10 10"><linearGradient id="g"/><text x="1">Hallo</text></svg>');
+    });
+  });
+});
+
+describe('ReMarkup', function() {
+  describe('adapter option', function() {
+    it('should use the given adapter for a single instance', function() {
+      const dom = new ReMarkup({ adapter: ReMarkup.adapters.dom(jsdom.jsdom('')) });
+      const cheerio = new ReMarkup();
+
+      let domElement, cheerioElement;
+      dom.addElementFilter(element => { domElement = element; });
+      cheerio.addElementFilter(element => { cheerioElement = element; });
+
+      dom.unMarkup('<p>A</p>');
+      cheerio.unMarkup('<p>A</p>');
+
+      assert.equal(domElement.nodeName, 'P');
+      assert.equal(cheerioElement[0].name, 'p');
+    });
+  });
+});
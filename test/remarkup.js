@@ -1,8 +1,12 @@
 'use strict';
 
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const ReMarkup = require('../');
+const batch = require('../lib/batch');
 
 describe('ReMarkup', function() {
   // generic sample strings
@@ -63,6 +67,46 @@ describe('ReMarkup', function() {
       assert.notEqual(modified.indexOf('Still there'), -1);
     });
     
+    it('should keep attributes scoped to a CSS selector', function() {
+      const rm = new ReMarkup({
+        additionalKeepAttributes: [{ selector: 'a.external', attributes: [/^data-track-/] }]
+      });
+      
+      assert.equal(rm.unMarkup('<a class="external" data-track-id="1">A</a> ' +
+        '<a class="internal" data-track-id="2">B</a>'),
+        '<a data-track-id="1">A</a> <a>B</a>');
+    });
+    
+    it('should match scoped rules against the unmodified document', function() {
+      const rm = new ReMarkup({
+        additionalKeepAttributes: [
+          { selector: 'nav a', attributes: ['data-track'] },
+          { selector: 'li:first-child', attributes: ['data-pos'] },
+          { selector: '.menu > li', attributes: ['data-menu'] }
+        ]
+      });
+      const original = '<nav class="top"><a data-track="home" href="/">Home</a></nav>' +
+        '<ul class="menu"><li data-pos="1" data-menu="a">A</li><li data-menu="b" data-pos="2">B</li></ul>';
+      
+      assert.equal(rm.unMarkup(original),
+        '<nav><a data-track="home">Home</a></nav>' +
+        '<ul><li data-pos="1" data-menu="a">A</li><li data-menu="b">B</li></ul>');
+      assert.equal(rm.reMarkup(original, rm.unMarkup(original)), original);
+    });
+    
+    it('should let exclusion rules override broader entries', function() {
+      const rm = new ReMarkup({
+        additionalKeepAttributes: [
+          { exclude: true, attributes: ['remarkup-internal'] },
+          { exclude: true, selector: 'input', attributes: ['value'] }
+        ]
+      });
+      
+      assert.equal(rm.unMarkup('<span remarkup-internal="x" remarkup-id="y">A</span>' +
+        '<input type="submit" value="Go"><button type="submit" value="Go"></button>'),
+        '<span remarkup-id="y">A</span><input><button value="Go"></button>');
+    });
+    
     it('should strip whitespace if asked to', function() {
       const rm = new ReMarkup({
         additionalElementFilters: ReMarkup.stripSpaces
@@ -174,5 +218,1189 @@ describe('ReMarkup', function() {
       assert.equal   (remarkupped.indexOf('Text field text changed'), -1);
       assert.notEqual(remarkupped.indexOf('Button text changed'), -1);
     });
+    
+    it('should match parents by their whole subtrees', function() {
+      const rm = new ReMarkup();
+      
+      assert.equal(rm.reMarkup(
+        '<div class="ca"><span id="a" class="sa">A</span></div><div class="cb"><span id="b" class="sb">B</span></div>',
+        '<div><span id="b">B</span></div><div><span id="a">A</span></div>'),
+        '<div class="cb"><span id="b" class="sb">B</span></div><div class="ca"><span id="a" class="sa">A</span></div>');
+    });
+    
+    it('should match elements that moved to another parent', function() {
+      const rm = new ReMarkup();
+      
+      assert.equal(rm.reMarkup(
+        '<p><a href="/one" class="x">One</a> and <b class="bold">two</b></p><p><i class="it">three</i></p>',
+        '<p><a>Eins</a> und</p><p><i>drei</i> <b>zwei</b></p>'),
+        '<p><a href="/one" class="x">Eins</a> und</p><p><i class="it">drei</i> <b class="bold">zwei</b></p>');
+      
+      assert.equal(rm.reMarkup(
+        '<p class="p1"><b class="bold">One</b></p><p class="p2">Two <i class="it">three</i> <u class="u">four</u></p>',
+        '<p>Eins <i>drei</i></p><p>Zwei <b>eins</b> <u>vier</u></p>'),
+        '<p class="p1">Eins <i class="it">drei</i></p><p class="p2">Zwei <b class="bold">eins</b> <u class="u">vier</u></p>');
+    });
+
+    it('should match long lists of rows that moved to another parent', function() {
+      const rm = new ReMarkup();
+      const rows = [];
+      for (let i = 0; i < 120; ++i) {
+        rows.push('<tr id="row-' + i + '" class="row"><td class="cell"><a href="/' + i + '">Item ' + i + '</a></td></tr>');
+      }
+
+      // every third row is moved into a second <tbody>
+      const translated = rows.map(row => rm.unMarkup(row));
+      const remarkupped = rm.reMarkup('<table><tbody>' + rows.join('') + '</tbody></table>',
+        '<table><tbody>' + translated.filter((row, i) => i % 3 !== 0).join('') + '</tbody>' +
+        '<tbody>' + translated.filter((row, i) => i % 3 === 0).join('') + '</tbody></table>');
+
+      assert.equal(remarkupped, '<table><tbody>' + rows.filter((row, i) => i % 3 !== 0).join('') + '</tbody>' +
+        '<tbody>' + rows.filter((row, i) => i % 3 === 0).join('') + '</tbody></table>');
+    });
+  });
+  
+  describe('.textRawElementMetric', function() {
+    const ordersOriginal = '<p>' +
+      '<span class="order">Order 12,345 has shipped.</span> ' +
+      '<span class="contact">Questions? Write to support@example.com.</span>' +
+      '</p>';
+    const ordersModified = '<p>' +
+      '<span>Fragen? Schreiben Sie an support@example.com.</span> ' +
+      '<span>Bestellung 12.345 wurde versandt.</span>' +
+      '</p>';
+    
+    it('should match reordered sentences by numbers and email addresses', function() {
+      const rm = new ReMarkup({ rawElementMetric: ReMarkup.textRawElementMetric });
+      
+      const remarkupped = rm.reMarkup(ordersOriginal, ordersModified);
+      assert.ok(remarkupped.match(/class="contact">Fragen/));
+      assert.ok(remarkupped.match(/class="order">Bestellung/));
+    });
+    
+    it('should differ from the default metric for reordered sentences', function() {
+      const rm = new ReMarkup();
+      
+      const remarkupped = rm.reMarkup(ordersOriginal, ordersModified);
+      assert.ok(remarkupped.match(/class="order">Fragen/));
+    });
+    
+    it('should match reordered sentences by untranslated words and placeholders', function() {
+      const rm = new ReMarkup({ rawElementMetric: ReMarkup.textRawElementMetric });
+      
+      const remarkupped = rm.reMarkup(
+        '<ul><li class="brand">Powered by Acme</li><li class="greeting">Welcome back, {name}!</li></ul>',
+        '<ul><li>Willkommen zurück, {name}!</li><li>Unterstützt von Acme</li></ul>');
+      assert.ok(remarkupped.match(/class="greeting">Willkommen/));
+      assert.ok(remarkupped.match(/class="brand">Unterst/));
+    });
+    
+    it('should match reordered sentences by relative text length', function() {
+      const rm = new ReMarkup({ rawElementMetric: ReMarkup.textRawElementMetric });
+      
+      const remarkupped = rm.reMarkup(
+        '<div><b class="short">Yes</b> <b class="long">This is a considerably longer sentence</b></div>',
+        '<div><b>Dies ist ein deutlich längerer Satz</b> <b>Ja</b></div>');
+      assert.ok(remarkupped.match(/class="long">Dies/));
+    });
+    
+    it('should still recognize id attributes', function() {
+      const rm = new ReMarkup({ rawElementMetric: ReMarkup.textRawElementMetric });
+      
+      const remarkupped = rm.reMarkup(bananasOriginal, bananasGermanCorrectID);
+      assert.ok(remarkupped.match(/<em[^>]+background-color/));
+    });
+    
+    it('should still recognize translate-id attributes', function() {
+      const rm = new ReMarkup({ rawElementMetric: ReMarkup.textRawElementMetric });
+      
+      const remarkupped = rm.reMarkup(
+        '<div><div translate-id="a" class="weird">Weird</div> <span class="nesting">nesting</span></div>',
+        '<div><div>Weird</div> <span translate-id="a">nesting</span></div>');
+      assert.ok(remarkupped.match(/<span translate-id="a" class="weird">/));
+      assert.ok(remarkupped.match(/<div class="nesting">/));
+    });
+  });
+  
+  describe('metric weights', function() {
+    const corpus = [{
+      original: '<ul><li class="a">Item 1</li><li class="b">Item 22</li><li class="c">Item 333</li></ul>',
+      translated: '<ul><li>Punkt 22</li><li>Punkt 333</li></ul>',
+      expected: '<ul><li class="b">Punkt 22</li><li class="c">Punkt 333</li></ul>'
+    }, {
+      original: '<p><a href="/x" class="x">one</a> and <a href="/y" class="y">two</a></p>',
+      translated: '<p><a>eins</a> und <a>zwei</a></p>',
+      expected: '<p><a href="/x" class="x">eins</a> und <a href="/y" class="y">zwei</a></p>'
+    }];
+    
+    it('should override single default weights', function() {
+      const rm = new ReMarkup({ nonexistentChildDistance: 4, weights: { tagName: 0 } });
+      
+      assert.equal(rm.weights.tagName, 0);
+      assert.equal(rm.weights.base, ReMarkup.defaultWeights.base);
+      assert.equal(rm.weights.nonexistentChild, 4);
+      assert.equal(rm.nonexistentChildDistance, 4);
+    });
+    
+    it('should use the weights for matching', function() {
+      const original = '<p><b class="x">a</b><i class="y">b</i></p>';
+      const modified = '<p><i>b</i><b>a</b></p>';
+      
+      assert.equal(new ReMarkup().reMarkup(original, modified),
+        '<p><i class="y">b</i><b class="x">a</b></p>');
+      assert.equal(new ReMarkup({ weights: { tagName: 0 } }).reMarkup(original, modified),
+        '<p><i class="x">b</i><b class="y">a</b></p>');
+    });
+    
+    it('should compute the confidence relative to the base weight', function() {
+      const doubled = {};
+      Object.keys(ReMarkup.defaultWeights).forEach(name => {
+        doubled[name] = ReMarkup.defaultWeights[name] * 2;
+      });
+      
+      const original = '<p class="a">Hi <b class="b">you</b></p>';
+      const modified = '<div>Hallo <b>du</b></div>';
+      const report = new ReMarkup().reMarkup(original, modified, { report: true }).report;
+      const doubledReport = new ReMarkup({ weights: doubled }).reMarkup(original, modified, { report: true }).report;
+      
+      assert.ok(report.confidence < 1);
+      assert.equal(doubledReport.pairs[0].elementDistance, report.pairs[0].elementDistance * 2);
+      assert.equal(doubledReport.confidence, report.confidence);
+    });
+    
+    it('should calibrate the weights on a corpus', function() {
+      const result = ReMarkup.calibrate(corpus);
+      
+      assert.equal(result.total, 6);
+      assert.ok(result.initialAccuracy < 1);
+      assert.equal(result.accuracy, 1);
+      assert.equal(result.correct, 6);
+      assert.equal(result.weights.positionOffset, 0);
+      assert.equal(new ReMarkup({ weights: result.weights }).reMarkup(corpus[0].original,
+        corpus[0].translated), corpus[0].expected);
+    });
+  });
+  
+  describe('#reMarkup report', function() {
+    it('should return the HTML and a report when asked to', function() {
+      const rm = new ReMarkup();
+      
+      const result = rm.reMarkup(bananasOriginal, bananasGermanCorrectNoID, { report: true });
+      assert.equal(result.html, rm.reMarkup(bananasOriginal, bananasGermanCorrectNoID));
+      assert.equal(result.report.pairs.length, 3);
+      assert.equal(result.report.confidence, 1);
+      assert.deepEqual(result.report.unmatchedOriginal, []);
+    });
+    
+    it('should list matched pairs with their distances', function() {
+      const rm = new ReMarkup();
+      
+      const report = rm.reMarkup(bananasOriginal, bananasGermanCorrectID, { report: true }).report;
+      const em = report.pairs.filter(pair => pair.original.tagName === 'em')[0];
+      assert.equal(em.modified.tagName, 'em');
+      assert.equal(em.elementDistance, 0);
+      assert.equal(em.original.path, 'span:nth-child(1) > em:nth-child(2)');
+      assert.equal(em.modified.path, 'span:nth-child(1) > em:nth-child(1)');
+    });
+    
+    it('should flag moved elements and lower the confidence', function() {
+      const rm = new ReMarkup();
+      
+      const report = rm.reMarkup(bananasOriginal, bananasGermanIncorrect, { report: true }).report;
+      const moved = report.pairs.filter(pair => pair.moved);
+      assert.equal(moved.length, 1);
+      assert.equal(moved[0].original.tagName, 'em');
+      assert.ok(report.confidence < 1);
+    });
+    
+    it('should list unmatched elements and tag mismatches', function() {
+      const rm = new ReMarkup();
+      
+      const report = rm.reMarkup(bananasOriginal, '<p>Bananen sind <strong>toll</strong>!</p>', { report: true }).report;
+      assert.equal(report.pairs.length, 2);
+      assert.equal(report.unmatchedOriginal.length, 1);
+      assert.equal(report.unmatchedModified.length, 0);
+      assert.ok(report.tagMismatches.length > 0);
+      assert.ok(report.confidence < 0.7);
+    });
+    
+    it('should report token mappings with full confidence', function() {
+      const rm = new ReMarkup({ format: 'tokens' });
+      
+      const report = rm.reMarkup(bananasOriginal, '<1><3>Toll</3> sind <2>Bananen</2>!</1>', { report: true }).report;
+      assert.deepEqual(report.pairs.map(pair => [pair.original.index, pair.modified.index]), [[0, 0], [2, 1], [1, 2]]);
+      assert.equal(report.confidence, 1);
+    });
+  });
+  
+  describe('scoped attribute rules', function() {
+    it('should take scoped attributes from the translation', function() {
+      const rm = new ReMarkup({
+        additionalKeepAttributes: [{ selector: '.external', attributes: ['data-label'] }]
+      });
+      
+      assert.equal(rm.reMarkup('<a class="external" data-label="Shop" href="/s">Shop</a>',
+        '<a data-label="Laden">Laden</a>'),
+        '<a data-label="Laden" class="external" href="/s">Laden</a>');
+      assert.equal(rm.reMarkup('<a data-label="Shop" href="/s">Shop</a>',
+        '<a data-label="Laden">Laden</a>'),
+        '<a data-label="Shop" href="/s">Laden</a>');
+    });
+    
+    it('should not count scoped attributes in the metric', function() {
+      const rm = new ReMarkup({
+        additionalKeepAttributes: [{ selector: 'b', attributes: ['data-x'] }]
+      });
+      const metric = (html1, html2) => rm.rawElementMetric(
+        rm.wrap(rm.elements(rm.load(html1))[0]), rm.wrap(rm.elements(rm.load(html2))[0]), 0, 0, 1, 1);
+      
+      assert.equal(metric('<b>A</b>', '<b data-x="1">A</b>'), metric('<b>A</b>', '<b>A</b>'));
+      assert.ok(metric('<i>A</i>', '<i data-x="1">A</i>') > metric('<i>A</i>', '<i>A</i>'));
+    });
+
+    it('should match scoped rules against the original elements in the metric', function() {
+      const rm = new ReMarkup({
+        additionalKeepAttributes: [{ selector: '.external', attributes: ['data-label'] }]
+      });
+      const distance = (original, modified) =>
+        rm.matchElements(rm.loadOriginal(original).root, rm.load(modified)).pairs[0].elementDistance;
+
+      const original = '<a class="external" data-label="Shop" href="/s">Shop</a>';
+      assert.equal(distance(original, '<a data-label="Laden">Laden</a>'), rm.weights.base);
+      assert.equal(distance(original, '<a>Laden</a>'), rm.weights.base);
+    });
+
+    it('should match scoped rules against the original elements in strict mode', function() {
+      const rm = new ReMarkup({
+        strict: true,
+        additionalKeepAttributes: [{ selector: '.external', attributes: ['data-label'] }]
+      });
+
+      assert.deepEqual(rm.validate('<a class="external" data-label="Shop" href="/s">Shop</a>',
+        '<a data-label="Laden">Laden</a>'), []);
+      assert.equal(rm.reMarkup('<a class="external" data-label="Shop" href="/s">Shop</a>',
+        '<a data-label="Laden">Laden</a>'),
+        '<a data-label="Laden" class="external" href="/s">Laden</a>');
+      assert.deepEqual(rm.validate('<a data-label="Shop" href="/s">Shop</a>',
+        '<a data-label="Laden">Laden</a>').map(v => v.type), ['new-attribute']);
+    });
+  });
+  
+  describe('merge rules', function() {
+    it('should union class lists', function() {
+      const rm = new ReMarkup({
+        mergeRules: [{ attributes: ['class'], merge: 'union' }]
+      });
+      
+      const remarkupped = rm.reMarkup('<p class="intro large">Hello</p>', '<p class="large rtl">Hallo</p>');
+      assert.equal(remarkupped, '<p class="intro large rtl">Hallo</p>');
+    });
+    
+    it('should merge style declarations', function() {
+      const rm = new ReMarkup({
+        mergeRules: [{ attributes: ['style'], merge: 'style' }]
+      });
+      
+      const remarkupped = rm.reMarkup('<p style="color: red; font-size: 12px">Hello</p>',
+        '<p style="font-size:14px">Hallo</p>');
+      assert.equal(remarkupped, '<p style="color: red; font-size: 14px">Hallo</p>');
+    });
+
+    it('should not split style declarations inside of data URLs', function() {
+      const rm = new ReMarkup({
+        mergeRules: [{ attributes: ['style'], merge: 'style' }]
+      });
+
+      assert.equal(rm.reMarkup('<p style="background: url(data:image/png;base64,AAA); color: red">Hello</p>',
+        '<p style="color: blue">Hallo</p>'),
+        '<p style="background: url(data:image/png;base64,AAA); color: blue">Hallo</p>');
+      assert.equal(rm.reMarkup('<p style=\'background: url("data:image/png;base64,AAA"); color: red\'>Hello</p>',
+        '<p style="color: blue">Hallo</p>'),
+        '<p style="background: url(&quot;data:image/png;base64,AAA&quot;); color: blue">Hallo</p>');
+    });
+    
+    it('should prefer translated links only if they changed the locale path segment', function() {
+      const rm = new ReMarkup({
+        mergeRules: [{ tags: ['a'], attributes: ['href'], merge: 'localePath' }]
+      });
+      
+      assert.equal(rm.reMarkup('<a href="https://example.org/en/about?x=1">About</a>',
+        '<a href="https://example.org/de-AT/about?x=1">Über</a>'),
+        '<a href="https://example.org/de-AT/about?x=1">&#xDC;ber</a>');
+      assert.equal(rm.reMarkup('<a href="/en/about">About</a>', '<a href="/de/evil">Über</a>'),
+        '<a href="/en/about">&#xDC;ber</a>');
+      assert.equal(rm.reMarkup('<a href="/en/about">About</a>', '<a>Über</a>'),
+        '<a href="/en/about">&#xDC;ber</a>');
+    });
+
+    it('should only change locale path segments in the source language', function() {
+      const rm = new ReMarkup({
+        mergeRules: [{ attributes: ['href', 'src'], merge: 'localePath' }]
+      });
+      
+      assert.equal(rm.reMarkup('<img src="/img/a.png">', '<img src="/css/a.png">'),
+        '<img src="/img/a.png">');
+      assert.equal(rm.reMarkup('<a href="/en-us/about">About</a>', '<a href="/fr/about">À propos</a>'),
+        '<a href="/fr/about">&#xC0; propos</a>');
+      
+      const german = new ReMarkup({
+        srcLang: 'de',
+        mergeRules: [{ attributes: ['href'], merge: 'localePath' }]
+      });
+      assert.equal(german.reMarkup('<a href="/de/info">Info</a>', '<a href="/en/info">Info</a>'),
+        '<a href="/en/info">Info</a>');
+      assert.equal(german.reMarkup('<a href="/en/info">Info</a>', '<a href="/fr/info">Info</a>'),
+        '<a href="/en/info">Info</a>');
+    });
+    
+    it('should keep lang and dir from the translation', function() {
+      const rm = new ReMarkup({
+        mergeRules: [{ attributes: ['lang', 'dir'], merge: 'translation' }]
+      });
+      
+      assert.equal(rm.reMarkup('<p lang="en" dir="ltr" class="a">Hello</p>', '<p lang="ar" dir="rtl">مرحبا</p>'),
+        '<p lang="ar" dir="rtl" class="a">&#x645;&#x631;&#x62D;&#x628;&#x627;</p>');
+      assert.equal(rm.reMarkup('<p lang="en">Hello</p>', '<p>Hallo</p>'), '<p lang="en">Hallo</p>');
+    });
+    
+    it('should only apply rules to the given tags', function() {
+      const rm = new ReMarkup({
+        mergeRules: [{ tags: ['span'], attributes: ['class'], merge: 'translation' }]
+      });
+      
+      assert.equal(rm.reMarkup('<p class="a"><span class="b">Hello</span></p>', '<p class="c"><span class="d">Hallo</span></p>'),
+        '<p class="a"><span class="d">Hallo</span></p>');
+    });
+    
+    it('should support custom merge callbacks', function() {
+      const rm = new ReMarkup({
+        mergeRules: [{
+          attributes: [/^data-/],
+          merge: (originalValue, translatedValue, name) => name + ':' + originalValue + '/' + translatedValue
+        }]
+      });
+      
+      assert.equal(rm.reMarkup('<p data-x="1">Hello</p>', '<p>Hallo</p>'), '<p data-x="data-x:1/undefined">Hallo</p>');
+    });
+    
+    it('should apply rules to kept attributes, too', function() {
+      const rm = new ReMarkup({
+        mergeRules: [{ attributes: ['title'], merge: 'original' }]
+      });
+      
+      assert.equal(rm.reMarkup('<p title="Hello">Hello</p>', '<p title="Hallo">Hallo</p>'), '<p title="Hello">Hallo</p>');
+    });
+    
+    it('should reject unknown merge strategies', function() {
+      assert.throws(() => new ReMarkup({ mergeRules: [{ attributes: ['class'], merge: 'magic' }] }), TypeError);
+    });
+  });
+  
+  describe('dropped and surplus elements', function() {
+    it('should drop unmatched original elements by default', function() {
+      const rm = new ReMarkup();
+      
+      assert.equal(rm.reMarkup('Line one<br>line two', 'Zeile eins Zeile zwei'), 'Zeile eins Zeile zwei');
+    });
+    
+    it('should restore dropped elements without text content', function() {
+      const rm = new ReMarkup({ droppedElements: 'restore' });
+      
+      const remarkupped = rm.reMarkup(
+        '<p class="favs"><i class="icon icon-star"></i> Favourites <b>now</b></p>',
+        '<p>Favoriten <b>jetzt</b></p>');
+      assert.equal(remarkupped, '<p class="favs"><i class="icon icon-star"></i>Favoriten <b>jetzt</b></p>');
+    });
+    
+    it('should restore dropped elements at the position inferred from their neighbours', function() {
+      const rm = new ReMarkup({ droppedElements: 'restore' });
+      
+      assert.equal(rm.reMarkup('Line one<br>line two', 'Zeile eins Zeile zwei'), 'Zeile eins <br>Zeile zwei');
+      assert.equal(rm.reMarkup('<p>A <b>bold</b> word<br>and more</p>', '<p>Ein <b>fettes</b> Wort und mehr</p>'),
+        '<p>Ein <b>fettes</b> Wort<br> und mehr</p>');
+      assert.equal(rm.reMarkup('<p>A<br><br>B</p>', '<p>A B</p>'), '<p>A <br><br>B</p>');
+    });
+    
+    it('should not restore dropped elements with text content', function() {
+      const rm = new ReMarkup({ droppedElements: 'restore' });
+      
+      const result = rm.reMarkup(bananasOriginal, '<span>Bananen sind <em>toll</em>!</span>', { report: true });
+      assert.equal(result.html.indexOf('Bananas'), -1);
+      assert.deepEqual(result.report.restored, []);
+    });
+    
+    it('should list restored elements in the report', function() {
+      const rm = new ReMarkup({ droppedElements: 'restore' });
+      
+      const report = rm.reMarkup(imageOriginal, '<a>Bitte klicke auf dieses Bild!</a>', { report: true }).report;
+      assert.deepEqual(report.restored.map(e => e.tagName), ['img']);
+    });
+    
+    it('should unwrap surplus elements if asked to', function() {
+      const rm = new ReMarkup({ surplusElements: 'unwrap' });
+      
+      const remarkupped = rm.reMarkup('<a href="#">Click <b>here</b></a>', '<a>Klicke <b>hier</b> <i>jetzt</i></a>');
+      assert.equal(remarkupped, '<a href="#">Klicke <b>hier</b> jetzt</a>');
+    });
+    
+    it('should report surplus elements if asked to', function() {
+      const rm = new ReMarkup({ surplusElements: 'report' });
+      
+      const result = rm.reMarkup('<a href="#">Click here</a>', '<a>Klicke <i>hier</i></a>', { report: true });
+      assert.equal(result.html, '<a href="#">Klicke <i>hier</i></a>');
+      assert.deepEqual(result.report.violations.map(v => [v.type, v.tagName]), [['surplus-element', 'i']]);
+    });
+  });
+  
+  describe('strict mode', function() {
+    it('should accept safe translations', function() {
+      const rm = new ReMarkup({ strict: true });
+      
+      const remarkupped = rm.reMarkup(bananasOriginal, bananasGermanCorrectNoID);
+      assert.ok(remarkupped.match(/<em[^>]+background-color/));
+    });
+    
+    it('should throw a ValidationError for new tag names', function() {
+      const rm = new ReMarkup({ strict: true });
+      
+      assert.throws(() => rm.reMarkup(bananasOriginal, '<span><span>Bananen</span> sind <strong>toll</strong>!</span>'),
+        err => err instanceof ReMarkup.ValidationError &&
+          err.violations.some(v => v.type === 'new-tag' && v.tagName === 'strong'));
+    });
+    
+    it('should reject changed element counts', function() {
+      const rm = new ReMarkup({ strict: { newTags: false } });
+      
+      const violations = rm.validate(bananasOriginal, '<span>Bananen sind <em>toll</em>!</span>');
+      assert.deepEqual(violations.map(v => [v.type, v.tagName, v.original, v.modified]),
+        [['element-count', 'span', 2, 1]]);
+    });
+    
+    it('should reject new non-semantic attributes', function() {
+      const rm = new ReMarkup({ strict: true });
+      
+      const violations = rm.validate(bananasOriginal,
+        '<span><span class="huge">Bananen</span> sind <em title="Toll!">toll</em>!</span>');
+      assert.deepEqual(violations.map(v => [v.type, v.attribute]), [['new-attribute', 'class']]);
+    });
+    
+    it('should remove dangerous attributes and URLs', function() {
+      const rm = new ReMarkup({ strict: { action: 'report' } });
+      
+      const result = rm.reMarkup(imageOriginal,
+        '<a href="javascript:alert(1)" title="Klick" onmouseover="alert(2)">Bitte klicke: ' +
+        '<img src="tux.png" alt="Tux"></a>', { report: true });
+      
+      assert.equal(result.html.indexOf('javascript'), -1);
+      assert.equal(result.html.indexOf('onmouseover'), -1);
+      assert.ok(result.html.match(/href="#"/));
+      assert.deepEqual(result.report.violations.map(v => [v.type, v.attribute]),
+        [['dangerous-attribute', 'href'], ['dangerous-attribute', 'onmouseover']]);
+    });
+    
+    it('should keep dangerous attributes from the original', function() {
+      const rm = new ReMarkup({ strict: true });
+      
+      const remarkupped = rm.reMarkup('<a href="#" onclick="go()">Go</a>', '<a>Los</a>');
+      assert.equal(remarkupped, '<a href="#" onclick="go()">Los</a>');
+    });
+    
+    it('should validate token strings', function() {
+      const rm = new ReMarkup({ format: 'tokens', strict: true });
+      
+      // markup in the text of token strings is escaped instead
+      assert.equal(rm.reMarkup(bananasOriginal, '<1><2>Bananen</2> sind <3>toll</3>!<script>alert(1)</script></1>'),
+        '<span ng-show="true"><span>Bananen</span> sind <em id="emphasized" style="background-color: red">toll</em>!' +
+        '&lt;script&gt;alert(1)&lt;/script&gt;</span>');
+      assert.throws(() => rm.reMarkup(bananasOriginal, '<1><2>Bananen</2> sind <3><3>toll</3></3>!</1>'),
+        ReMarkup.ValidationError);
+    });
+  });
+  
+  describe('.isDangerousAttribute', function() {
+    it('should recognize event handlers and script URLs', function() {
+      assert.ok( ReMarkup.isDangerousAttribute('onclick', 'go()'));
+      assert.ok( ReMarkup.isDangerousAttribute('href', ' JavaScript:alert(1)'));
+      assert.ok( ReMarkup.isDangerousAttribute('href', 'java\tscript:alert(1)'));
+      assert.ok( ReMarkup.isDangerousAttribute('src', 'data:text/html,<script>alert(1)</script>'));
+      assert.ok( ReMarkup.isDangerousAttribute('style', 'width: expression(alert(1))'));
+      assert.ok(!ReMarkup.isDangerousAttribute('href', 'https://example.org/javascript:'));
+      assert.ok(!ReMarkup.isDangerousAttribute('src', 'data:image/png;base64,AAAA'));
+      assert.ok(!ReMarkup.isDangerousAttribute('title', 'javascript:'));
+    });
+  });
+  
+  describe('.sanitize', function() {
+    it('should remove dangerous attributes as an element filter', function() {
+      const rm = new ReMarkup({
+        elementFilters: [ReMarkup.sanitize]
+      });
+      
+      const modified = rm.unMarkup('<a href="javascript:alert(1)" class="a" onclick="alert(2)">Go</a>');
+      assert.equal(modified, '<a class="a">Go</a>');
+    });
+  });
+  
+  describe('framework presets', function() {
+    const vueOriginal = '<p class="greeting" :title="tooltip" v-if="user">' +
+      'Hello {{ user.name && user.first }}, you have <b>{{ count }}</b> messages</p>';
+    
+    const ph = id => '<remarkup-ph remarkup-id="' + id + '"></remarkup-ph>';
+    
+    it('should mask interpolations as placeholders', function() {
+      const rm = new ReMarkup({ preset: 'vue' });
+      
+      const modified = rm.unMarkup(vueOriginal);
+      assert.equal(modified, '<p :title="tooltip">Hello ' + ph('ph1') +
+        ', you have <b>' + ph('ph2') + '</b> messages</p>');
+    });
+    
+    it('should restore interpolations verbatim', function() {
+      const rm = new ReMarkup({ preset: 'vue' });
+      
+      const remarkupped = rm.reMarkup(vueOriginal, '<p :title="hacked">Hallo ' + ph('ph1') +
+        ', du hast <b>' + ph('ph2') + '</b> Nachrichten</p>');
+      assert.ok(remarkupped.match(/Hallo \{\{ user\.name && user\.first \}\}, du hast <b>\{\{ count \}\}<\/b>/));
+      assert.ok(remarkupped.match(/:title="tooltip"/));
+      assert.ok(remarkupped.match(/v-if="user"/));
+      assert.ok(remarkupped.match(/class="greeting"/));
+    });
+    
+    it('should throw for missing or duplicated placeholders in strict mode', function() {
+      const rm = new ReMarkup({ preset: 'vue', strict: { elementCount: false } });
+      
+      assert.throws(() => rm.reMarkup(vueOriginal, '<p>Hallo, du hast <b>' + ph('ph2') + '</b> Nachrichten</p>'),
+        err => err instanceof ReMarkup.ValidationError &&
+          err.violations.some(v => v.type === 'placeholder-missing' && v.placeholder === 'ph1'));
+      assert.throws(() => rm.reMarkup(vueOriginal, '<p>Hallo ' + ph('ph1') + ph('ph1') +
+        ', du hast <b>' + ph('ph2') + '</b> Nachrichten</p>'),
+        err => err.violations.some(v => v.type === 'placeholder-duplicated'));
+    });
+    
+    it('should report placeholder violations without strict mode', function() {
+      const rm = new ReMarkup({ preset: 'vue' });
+      
+      const result = rm.reMarkup(vueOriginal, '<p>Hallo, du hast <b>' + ph('ph2') + '</b> Nachrichten</p>',
+        { report: true });
+      assert.ok(result.html.match(/du hast <b>\{\{ count \}\}<\/b>/));
+      assert.deepEqual(result.report.violations.map(v => [v.type, v.placeholder]),
+        [['placeholder-missing', 'ph1']]);
+    });
+    
+    it('should not restore placeholders from comments in the translation', function() {
+      const rm = new ReMarkup({ preset: 'vue', opaqueElements: ['code'] });
+      
+      const result = rm.reMarkup('<p>Run <code>npm test</code> for {{ name }}</p>',
+        '<p>Starte ' + ph('ph1') + '<!--remarkup-ph:ph1--> für ' + ph('ph2') +
+        ' <b title="<!--remarkup-ph:ph2-->">x</b></p>', { report: true });
+      
+      assert.equal(result.html.split('<code>npm test</code>').length, 2);
+      assert.equal(result.html.split('{{ name }}').length, 2);
+      assert.deepEqual(result.report.violations.map(v => v.type), ['placeholder-comment']);
+    });
+    
+    it('should report placeholder violations in strict report mode', function() {
+      const rm = new ReMarkup({ preset: 'vue', strict: { action: 'report' } });
+      
+      const result = rm.reMarkup(vueOriginal, '<p>Hallo ' + ph('ph1') + ', du hast <b>' +
+        ph('ph7') + '</b> Nachrichten</p>', { report: true });
+      assert.deepEqual(result.report.violations.map(v => [v.type, v.placeholder]),
+        [['placeholder-missing', 'ph2'], ['placeholder-unknown', 'ph7']]);
+    });
+    
+    it('should keep the case of Angular attributes and mask ICU expressions', function() {
+      const rm = new ReMarkup({ preset: 'angular' });
+      
+      const original = '<div *ngIf="items" [title]="label" (click)="open()">' +
+        '{count, plural, =1 {one {{name}}} other {# items}} left</div>';
+      assert.equal(rm.unMarkup(original), '<div [title]="label">' + ph('ph1') + ' left</div>');
+      
+      const remarkupped = rm.reMarkup(original, '<div>Noch ' + ph('ph1') + '</div>');
+      assert.equal(remarkupped, '<div *ngIf="items" [title]="label" (click)="open()">' +
+        'Noch {count, plural, =1 {one {{name}}} other {# items}}</div>');
+    });
+    
+    it('should mask Handlebars block helpers', function() {
+      const rm = new ReMarkup({ preset: 'handlebars' });
+      
+      assert.equal(rm.unMarkup('{{#if admin}}<a href="/admin">Admin</a>{{/if}}'),
+        ph('ph1') + '<a>Admin</a>' + ph('ph2'));
+    });
+    
+    it('should reject unknown presets', function() {
+      assert.throws(() => new ReMarkup({ preset: 'jinja' }), TypeError);
+    });
+  });
+  
+  describe('opaque elements', function() {
+    const ph = id => '<remarkup-ph remarkup-id="' + id + '"></remarkup-ph>';
+    
+    it('should hide translate="no" elements from translators', function() {
+      const rm = new ReMarkup();
+      
+      const modified = rm.unMarkup('<p>Run <code class="cmd">npm test</code> with ' +
+        '<span translate="no" class="brand">ACME <b>Pro</b></span>.</p>');
+      assert.equal(modified, '<p>Run <code>npm test</code> with ' + ph('ph1') + '.</p>');
+    });
+    
+    it('should restore opaque elements byte for byte', function() {
+      const rm = new ReMarkup({ opaqueElements: ['code', 'pre', 'script'] });
+      
+      const original = '<p>Run <code class=cmd>a&amp;&amp;b  <B>c</B></code>!</p>' +
+        '<pre>\n  x < y\n</pre><script>if (a<b) {}</script>';
+      const remarkupped = rm.reMarkup(original, '<p>Starte ' + ph('ph1') + '!</p>' +
+        ph('ph3') + ph('ph2'));
+      
+      assert.equal(remarkupped, '<p>Starte <code class=cmd>a&amp;&amp;b  <B>c</B></code>!</p>' +
+        '<script>if (a<b) {}</script><pre>\n  x < y\n</pre>');
+    });
+    
+    it('should honor translate="yes" and custom selectors', function() {
+      const rm = new ReMarkup({ opaqueElements: ['kbd', '.notranslate'] });
+      
+      assert.equal(rm.unMarkup('<p>Press <kbd>Ctrl</kbd> in <i class="notranslate">vim</i>, ' +
+        '<code>not</code> <kbd translate="yes">Enter</kbd></p>'),
+        '<p>Press ' + ph('ph1') + ' in ' + ph('ph2') + ', <code>not</code> <kbd>Enter</kbd></p>');
+    });
+    
+    it('should use void tokens for opaque elements', function() {
+      const rm = new ReMarkup({ format: 'tokens', opaqueElements: ['code'] });
+      
+      const original = '<p>Run <code>npm test</code>!</p>';
+      assert.equal(rm.unMarkup(original), '<1>Run <x2/>!</1>');
+      assert.equal(rm.reMarkup(original, '<1>Starte <x2/>!</1>'), '<p>Starte <code>npm test</code>!</p>');
+    });
+  });
+  
+  describe('XML mode', function() {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">' +
+      '<title>Chart</title><desc>Sales by year</desc><linearGradient id="g"/>' +
+      '<path d="M0 0" fill="url(#g)"/><text aria-label="Total" x="1">Total: <tspan font-weight="bold">5</tspan></text>' +
+      '<style><![CDATA[text { fill: red; }]]></style></svg>';
+    
+    it('should keep tag name case, self-closing tags and CDATA', function() {
+      const rm = new ReMarkup({ xml: true });
+      
+      const modified = rm.unMarkup(svg);
+      assert.equal(modified, '<svg xmlns="http://www.w3.org/2000/svg">' +
+        '<title>Chart</title><desc>Sales by year</desc><linearGradient id="g"/>' +
+        '<path/><text aria-label="Total">Total: <tspan>5</tspan></text>' +
+        '<style><![CDATA[text { fill: red; }]]></style></svg>');
+      
+      assert.equal(rm.reMarkup(svg, modified), svg);
+    });
+    
+    it('should translate SVG text, titles, descriptions and ARIA labels', function() {
+      const rm = new ReMarkup({ xml: true });
+      
+      const remarkupped = rm.reMarkup(svg, rm.unMarkup(svg)
+        .replace('Chart', 'Diagramm')
+        .replace('Sales by year', 'Umsatz pro Jahr')
+        .replace('"Total"', '"Summe"')
+        .replace('Total: <tspan>5</tspan>', '<tspan>5</tspan> insgesamt'));
+      
+      assert.equal(remarkupped, '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">' +
+        '<title>Diagramm</title><desc>Umsatz pro Jahr</desc><linearGradient id="g"/>' +
+        '<path d="M0 0" fill="url(#g)"/><text aria-label="Summe" x="1"><tspan font-weight="bold">5</tspan> insgesamt</text>' +
+        '<style><![CDATA[text { fill: red; }]]></style></svg>');
+      
+      assert.deepEqual(rm.extractSegments(svg).map(segment => segment.source),
+        ['Chart', 'Sales by year', 'Total', 'Total: <tspan>5</tspan>']);
+    });
+    
+    it('should keep end tags of empty XHTML elements', function() {
+      const rm = new ReMarkup({ xml: true });
+      
+      const original = '<table><tr><td class="spacer"></td><td>Hello<br/>world</td></tr></table>';
+      assert.equal(rm.unMarkup(original), '<table><tr><td></td><td>Hello<br/>world</td></tr></table>');
+      assert.equal(rm.reMarkup(original, '<table><tr><td></td><td>Hallo<br/>Welt</td></tr></table>'),
+        '<table><tr><td class="spacer"></td><td>Hallo<br/>Welt</td></tr></table>');
+    });
+    
+    it('should use void tokens for self-closing elements', function() {
+      const rm = new ReMarkup({ xml: true, format: 'tokens' });
+      
+      const original = '<p>Hello<br/>world<span></span></p>';
+      assert.equal(rm.unMarkup(original), '<1>Hello<x2/>world<3></3></1>');
+      assert.equal(rm.reMarkup(original, '<1>Hallo<x2/>Welt<3></3></1>'), '<p>Hallo<br/>Welt<span></span></p>');
+    });
+    
+    it('should match prefixed attribute names by their namespace', function() {
+      const rm = new ReMarkup({ xml: true, additionalKeepAttributes: ['xlink:href'] });
+      
+      assert.equal(rm.unMarkup('<svg xmlns:l="http://www.w3.org/1999/xlink" xmlns:x="urn:x">' +
+        '<use l:href="#a" x:href="#b" class="c"/></svg>'),
+        '<svg xmlns:l="http://www.w3.org/1999/xlink" xmlns:x="urn:x"><use l:href="#a"/></svg>');
+    });
+    
+    it('should mask inline SVG as a whole in HTML mode', function() {
+      const rm = new ReMarkup({ opaqueElements: ['svg'] });
+      
+      assert.equal(rm.unMarkup('<p>A <svg><text>B</text></svg></p>'),
+        '<p>A <remarkup-ph remarkup-id="ph1"></remarkup-ph></p>');
+    });
+  });
+  
+  describe('formatting preservation', function() {
+    const original = '<div class=\'box\'   id=main>\n' +
+      '  <p data-x="a&amp;b" title="Hello">\n' +
+      '    Hello <b class=x>world</b>, caf&eacute;\n' +
+      '  </p>\n' +
+      '  <ul>\n' +
+      '    <li>One</li>\n' +
+      '    <li>Two</li>\n' +
+      '  </ul>\n' +
+      '  <img src="a.png" alt="Pic" />\n' +
+      '</div>';
+    
+    it('should keep the original form of unchanged attributes', function() {
+      const rm = new ReMarkup({ preserveFormatting: true });
+      
+      const remarkupped = rm.reMarkup('<p class=a   title=\'Hi\' data-x="&quot;">Hi</p>',
+        '<p title="Hallo">Hallo</p>');
+      assert.equal(remarkupped, '<p class=a   title=\'Hallo\' data-x="&quot;">Hallo</p>');
+    });
+    
+    it('should restore whitespace collapsed by stripSpaces', function() {
+      const rm = new ReMarkup({
+        preserveFormatting: true,
+        additionalElementFilters: [ReMarkup.stripSpaces]
+      });
+      
+      const modified = rm.unMarkup(original);
+      assert.equal(modified, '<div id="main"><p title="Hello">Hello <b>world</b>, caf&#xE9;</p> ' +
+        '<ul><li>One</li> <li>Two</li></ul> <img alt="Pic"></div>');
+      
+      assert.equal(rm.reMarkup(original, modified
+        .replace('"Hello"', '"Hallo"')
+        .replace('Hello <b>world</b>, caf&#xE9;', 'Hallo <b>Welt</b>, Café')
+        .replace('One', 'Eins')), original
+        .replace('"Hello"', '"Hallo"')
+        .replace('Hello <b class=x>world</b>, caf&eacute;', 'Hallo <b class=x>Welt</b>, Café')
+        .replace('One', 'Eins'));
+    });
+    
+    it('should keep the quotes of changed attributes', function() {
+      const rm = new ReMarkup({ preserveFormatting: true });
+      
+      assert.equal(rm.reMarkup('<p>A <img src=a.png alt=\'A\'></p>',
+        '<p lang="de">B <img alt="B &amp; &quot;C&quot;"></p>'),
+        '<p lang="de">B <img src=a.png alt=\'B &amp; "C"\'></p>');
+    });
+  });
+  
+  describe('#update', function() {
+    const oldOriginal = '<p class="intro">Bananas are <a href="/en/fruit" title="Fruit">great</a>!</p>' +
+      '<p>Buy <b>now</b><br></p>';
+    const translated = '<p class="intro">Bananen sind <a href="/en/fruit" title="Obst">toll</a>!</p>' +
+      '<p>Jetzt <b>kaufen</b><br></p>';
+    
+    it('should carry over changed attributes and tag names', function() {
+      const rm = new ReMarkup();
+      
+      const result = rm.update(oldOriginal,
+        oldOriginal.replace('"intro"', '"intro large"').replace('/en/fruit', '/en/bananas')
+          .replace(/<(\/?)b>/g, '<$1strong>'),
+        translated);
+      
+      assert.equal(result.html, '<p class="intro large">Bananen sind ' +
+        '<a href="/en/bananas" title="Obst">toll</a>!</p><p>Jetzt <strong>kaufen</strong><br></p>');
+      assert.deepEqual(result.changed, []);
+    });
+    
+    it('should wrap, remove and add elements', function() {
+      const rm = new ReMarkup();
+      
+      const result = rm.update(oldOriginal,
+        '<div class="box"><p class="intro">Bananas are <a href="/en/fruit" title="Fruit">great</a>!</p></div>' +
+        '<p>Buy <b>now</b><img src="cart.png"></p>',
+        translated);
+      
+      assert.equal(result.html, '<div class="box"><p class="intro">Bananen sind ' +
+        '<a href="/en/fruit" title="Obst">toll</a>!</p></div>' +
+        '<p>Jetzt <b>kaufen</b><img src="cart.png"></p>');
+    });
+    
+    it('should flag segments with changed text', function() {
+      const rm = new ReMarkup();
+      
+      const result = rm.update(oldOriginal,
+        oldOriginal.replace('title="Fruit"', 'title="Yellow fruit"') + '<p>New offers</p>',
+        translated);
+      
+      assert.deepEqual(result.changed.map(segment => segment.source), [
+        'Bananas are <a title="Yellow fruit">great</a>!',
+        'New offers'
+      ]);
+      assert.ok(result.html.match(/title="Obst"/));
+      assert.ok(result.html.match(/<p>New offers<\/p>$/));
+    });
+  });
+  
+  describe('#pseudoLocalize', function() {
+    it('should transform texts and translatable attributes only', function() {
+      const rm = new ReMarkup();
+      
+      const result = rm.pseudoLocalize('<p class="intro">Read <a href="/docs" title="Docs">this</a></p>' +
+        '<img src="tux.png" alt="Tux">', { accents: false, expansion: 50 });
+      assert.equal(result, '<p class="intro">[Read <a title="[Docs ~~]" href="/docs">this ~~~~]</a></p>' +
+        '<img alt="[Tux ~~]" src="tux.png">');
+    });
+
+    it('should transform the values of submit and button inputs', function() {
+      const rm = new ReMarkup();
+
+      const result = rm.pseudoLocalize('<form><input type="submit" value="Send">' +
+        '<input type="button" value="Go"><input type="text" value="name"></form>',
+        { accents: false, expansion: 50 });
+      assert.equal(result, '<form><input value="[Send ~~]" type="submit">' +
+        '<input value="[Go ~]" type="button"><input type="text" value="name"></form>');
+    });
+
+    it('should add accents, except to URLs and placeholders', function() {
+      assert.equal(ReMarkup.pseudoLocalizeText('Hello {name}, see www.example.org', { expansion: 0 }),
+        '[Ĥéļļö {name}, šéé www.example.org]');
+    });
+    
+    it('should survive moved inline elements', function() {
+      const rm = new ReMarkup();
+      
+      const result = rm.pseudoLocalize('<li>One <b class="b">two</b> <i class="i">three</i></li>',
+        { accents: false, expansion: 0, moveElements: true, report: true });
+      assert.equal(result.html, '<li>[One <i class="i">three</i> <b class="b">two]</b></li>');
+      assert.deepEqual(result.report.unmatchedOriginal, []);
+    });
+    
+    it('should keep token numbers in the tokens format', function() {
+      const rm = new ReMarkup({ format: 'tokens' });
+      
+      assert.equal(rm.pseudoLocalize('<em class="a">One</em> <b class="b">two</b>',
+        { accents: false, expansion: 0, moveElements: true }),
+        '<b class="b">[two</b> <em class="a">One]</em>');
+    });
+  });
+  
+  describe('skeletons', function() {
+    it('should return a JSON skeleton of the stripped attributes', function() {
+      const rm = new ReMarkup();
+      
+      const result = rm.unMarkup(bananasOriginal, { skeleton: true });
+      assert.equal(result.html, rm.unMarkup(bananasOriginal));
+      assert.deepEqual(JSON.parse(JSON.stringify(result.skeleton)), result.skeleton);
+      assert.deepEqual(result.skeleton.elements, [
+        { tagName: 'span', attributes: { 'ng-show': 'true' } },
+        { tagName: 'span', attributes: {} },
+        { tagName: 'em', attributes: { style: 'background-color: red' } }
+      ]);
+    });
+    
+    it('should re-mark without the original fragment', function() {
+      const rm = new ReMarkup();
+      
+      const skeleton = JSON.parse(JSON.stringify(rm.unMarkup(bananasOriginal, { skeleton: true }).skeleton));
+      assert.equal(rm.reMarkupSkeleton(skeleton, bananasGermanCorrectID),
+        rm.reMarkup(bananasOriginal, bananasGermanCorrectID));
+    });
+    
+    it('should restore interpolation placeholders', function() {
+      const rm = new ReMarkup({ preset: 'vue' });
+      
+      const result = rm.unMarkup('<p v-if="ok">Hi {{ name }}</p>', { skeleton: true });
+      assert.equal(rm.reMarkupSkeleton(result.skeleton, result.html.replace('Hi', 'Hallo')),
+        '<p v-if="ok">Hallo {{ name }}</p>');
+    });
+    
+    it('should detect stale skeletons', function() {
+      const rm = new ReMarkup();
+      
+      const skeleton = rm.unMarkup(bananasOriginal, { skeleton: true }).skeleton;
+      assert.ok(!rm.isSkeletonStale(skeleton, bananasOriginal));
+      assert.ok(rm.isSkeletonStale(skeleton, bananasOriginal.replace('red', 'blue')));
+      
+      assert.throws(() => rm.reMarkupSkeleton(skeleton, bananasGermanCorrectNoID,
+        { original: bananasOriginal.replace('red', 'blue') }), ReMarkup.StaleSkeletonError);
+      
+      skeleton.elements.pop();
+      assert.throws(() => rm.reMarkupSkeleton(skeleton, bananasGermanCorrectNoID),
+        ReMarkup.StaleSkeletonError);
+    });
+  });
+  
+  describe('tokens format', function() {
+    it('should replace elements by numbered tokens', function() {
+      const rm = new ReMarkup({ format: 'tokens' });
+      
+      const modified = rm.unMarkup(bananasOriginal);
+      assert.equal(modified, '<1><2>Bananas</2> are <3>great</3>!</1>');
+    });
+    
+    it('should use self-closing tokens for void elements', function() {
+      const rm = new ReMarkup({ format: 'tokens' });
+      
+      const modified = rm.unMarkup(imageOriginal);
+      assert.equal(modified, '<1>Please click on this image: <x2/></1>');
+    });
+    
+    it('should map tokens back onto the original elements', function() {
+      const rm = new ReMarkup({ format: 'tokens' });
+      
+      const remarkupped = rm.reMarkup(bananasOriginal, '<1><3>Toll</3> sind <2>Bananen</2>!</1>');
+      assert.equal(remarkupped, '<span ng-show="true">' +
+        '<em id="emphasized" style="background-color: red">Toll</em> sind <span>Bananen</span>!</span>');
+    });
+    
+    it('should restore void elements', function() {
+      const rm = new ReMarkup({ format: 'tokens' });
+      
+      const remarkupped = rm.reMarkup(imageOriginal, '<1><x2/> Bitte klicke auf dieses Bild!</1>');
+      assert.ok(remarkupped.match(/^<a href="#" title="[^"]+"><img src="tux.png" alt="[^"]+"> Bitte/));
+    });
+    
+    it('should fall back to matching elements when tokens are missing', function() {
+      const rm = new ReMarkup({ format: 'tokens' });
+      
+      const remarkupped = rm.reMarkup(bananasOriginal, '<1>Bananen sind <3>toll</3>!</1>');
+      assert.ok(remarkupped.match(/<span[^>]+ng-show/));
+      assert.ok(remarkupped.match(/<em[^>]+background-color/));
+    });
+    
+    it('should fall back to matching elements when tokens are not nested properly', function() {
+      const rm = new ReMarkup({ format: 'tokens' });
+      
+      const remarkupped = rm.reMarkup(bananasOriginal, '<1><2>Bananen</1> sind <3>toll</3>!</2>');
+      assert.ok(remarkupped.match(/<em[^>]+background-color/));
+    });
+
+    it('should escape literal < and & in translated text', function() {
+      const rm = new ReMarkup({ format: 'tokens' });
+
+      assert.equal(rm.reMarkup(bananasOriginal, '<1><2>Bananen</2> sind a<b && <i>toll</i> &lt; <3>c</3></1>'),
+        '<span ng-show="true"><span>Bananen</span> sind a&lt;b &amp;&amp; &lt;i&gt;toll&lt;/i&gt; &lt; ' +
+        '<em id="emphasized" style="background-color: red">c</em></span>');
+    });
+
+    it('should reject unknown formats', function() {
+      assert.throws(() => new ReMarkup({ format: 'pdf' }), TypeError);
+    });
+  });
+  
+  describe('markdown format', function() {
+    const linkOriginal = '<p class="intro">Bananas are <em>great</em> and <strong>cheap</strong>!<br>' +
+      'Buy them <a href="/shop" title="Shop">here</a>. <img src="b.png" alt="B"></p>';
+    
+    it('should write lightweight markers and numbered elements', function() {
+      const rm = new ReMarkup({ format: 'markdown' });
+      
+      assert.equal(rm.unMarkup(linkOriginal),
+        '[1]Bananas are *great* and **cheap**!\nBuy them [here](2). [3/][/1]');
+      assert.equal(rm.unMarkup(bananasOriginal), '[1][2]Bananas[/2] are [3]great[/3]![/1]');
+    });
+    
+    it('should escape literal markup characters', function() {
+      const rm = new ReMarkup({ format: 'markdown' });
+      
+      assert.equal(rm.unMarkup('<em>a*b</em> [1] c\\d\n e'), '*a\\*b* \\[1\\] c\\\\d e');
+      assert.equal(rm.reMarkup('<em>a*b</em> [1] c\\d', '*a\\*b* \\[1\\] c\\\\d'),
+        '<em>a*b</em> [1] c\\d');
+    });
+    
+    it('should re-mark translated text', function() {
+      const rm = new ReMarkup({ format: 'markdown' });
+      
+      assert.equal(rm.reMarkup(linkOriginal,
+        '[1]Bananen sind **billig** und *toll*!\nKaufe sie [hier](2). [3/][/1]'),
+        '<p class="intro">Bananen sind <strong>billig</strong> und <em>toll</em>!<br>' +
+        'Kaufe sie <a title="Shop" href="/shop">hier</a>. <img alt="B" src="b.png"></p>');
+    });
+    
+    it('should match elements without numbers and nested emphasis', function() {
+      const rm = new ReMarkup({ format: 'markdown' });
+      
+      assert.equal(rm.reMarkup('<p><strong><em>Bananas</em></strong> <em>a</em><em>b</em></p>',
+        '[1]*c**d* ***Bananen***[/1]'),
+        '<p><em>c</em><em>d</em> <strong><em>Bananen</em></strong></p>');
+    });
+    
+    it('should read unclosed markers as text', function() {
+      const rm = new ReMarkup({ format: 'markdown' });
+      
+      assert.equal(rm.reMarkup(bananasOriginal, '[1]*Bananen [sind [3]toll![/1]'),
+        '<span ng-show="true">*Bananen [sind <em id="emphasized" style="background-color: red">toll!</em></span>');
+    });
+    
+    it('should keep numbers when pseudo-localizing', function() {
+      const rm = new ReMarkup({ format: 'markdown' });
+      
+      assert.equal(rm.pseudoLocalize('<em class="a">One</em> <b class="b">two</b>',
+        { accents: false, expansion: 0, moveElements: true }),
+        '<b class="b">[two</b> <em class="a">One]</em>');
+    });
+  });
+    
+  describe('#alignmentReport', function() {
+    const original = '<p class="a">Bananas <b>are</b> <em id="e">great</em> <img src="b.png"></p>';
+    const translated = '<p>Bananen <i>sind</i> <em>toll</em> <u>!</u></p>';
+    
+    it('should create a self-contained page with both fragments', function() {
+      const page = new ReMarkup().alignmentReport(original, translated, { title: 'Bananas & more' });
+      
+      assert.equal(page.indexOf('<!DOCTYPE html>'), 0);
+      assert.notEqual(page.indexOf('<title>Bananas &amp; more</title>'), -1);
+      assert.equal(/<(link|img)\b|\ssrc=/.test(page), false);
+      assert.notEqual(page.indexOf('>Bananas <'), -1);
+      assert.notEqual(page.indexOf('>Bananen <'), -1);
+    });
+    
+    it('should give matched elements the same colour and distances', function() {
+      const rm = new ReMarkup();
+      const page = rm.alignmentReport(original, translated);
+      const em = page.match(/<span class="rm-el" data-tag="em" data-pair="(\d+)" style="([^"]+)" title="([^"]+)">great/);
+      
+      assert.ok(em);
+      assert.notEqual(page.indexOf('data-pair="' + em[1] + '" style="' + em[2] + '" title="' + em[3] + '">toll'), -1);
+      assert.notEqual(em[3].indexOf('rawElementMetric distance: '), -1);
+      assert.notEqual(em[3].indexOf('child assignment cost: 0'), -1);
+      assert.notEqual(page.indexOf('data-tag="p" data-pair="0"'), -1);
+    });
+    
+    it('should highlight unmatched and tag-mismatched elements', function() {
+      const page = new ReMarkup().alignmentReport(original, '<p>Bananen <i>sind</i> <em>toll</em></p>');
+      
+      assert.ok(/class="rm-el rm-mismatch" data-tag="b"[^>]*tag mismatch">are/.test(page));
+      assert.ok(/class="rm-el rm-unmatched rm-void" data-tag="img"[^>]*not matched"/.test(page));
+      assert.notEqual(page.indexOf('1 unmatched original'), -1);
+    });
+    
+    it('should not render attributes or scripts of the fragments', function() {
+      const page = new ReMarkup({ opaqueElements: [] }).alignmentReport(
+        '<p>A <em>b</em></p>', '<p onclick="alert(1)">A <em>b</em><script>alert(2)</script></p>');
+      
+      assert.equal(page.indexOf('onclick'), -1);
+      assert.equal(page.indexOf('<script>alert'), -1);
+      assert.notEqual(page.indexOf('alert(2)'), -1);
+    });
+    
+    it('should show the sum of the child pair distances as the assignment cost', function() {
+      const rm = new ReMarkup();
+      const pairs = rm.reMarkup('<p><b>A</b><i>B</i></p>', '<p><b>C</b><i>Dee</i></p>',
+        { report: true }).report.pairs;
+      const page = rm.alignmentReport('<p><b>A</b><i>B</i></p>', '<p><b>C</b><i>Dee</i></p>');
+      
+      assert.notEqual(page.indexOf('data-tag="p" data-pair="0" style="background-color: hsl(0, 75%, 85%)" ' +
+        'title="&lt;p&gt; ↔ &lt;p&gt;&#10;rawElementMetric distance: ' + pairs[0].elementDistance +
+        '&#10;child assignment cost: ' + (pairs[1].distance + pairs[2].distance) + '"'), -1);
+    });
+  });
+  
+  describe('batches', function() {
+    const translations = [
+      '<span><span>Bananen</span> sind <em>toll</em>!</span>',
+      '<span><span>Bananes</span> sont <em>super</em>!</span>',
+      '<span><span>Plátanos</span> son <em>geniales</em>!</span>'
+    ];
+    
+    it('should re-mark all fragments of an original like single calls', function() {
+      const rm = new ReMarkup({ preserveFormatting: true });
+      
+      assert.deepEqual(rm.reMarkupBatch(bananasOriginal, translations),
+        translations.map(t => ({ html: rm.reMarkup(bananasOriginal, t) })));
+    });
+    
+    it('should accept a list of pairs with languages', function() {
+      const rm = new ReMarkup();
+      const page = '<html><body><p class="a">Hi</p></body></html>';
+      const results = rm.reMarkupBatch([
+        { original: page, modified: '<html><body><p>Hallo</p></body></html>', lang: 'de' },
+        { original: page, modified: '<html><body><p>مرحبا</p></body></html>', lang: 'ar' },
+        { original: bananasOriginal, modified: translations[0] }
+      ], { report: true });
+      
+      assert.equal(results[0].html, '<html lang="de"><body><p class="a">Hallo</p></body></html>');
+      assert.equal(results[1].html.indexOf('<html lang="ar" dir="rtl">'), 0);
+      assert.equal(results[2].html, rm.reMarkup(bananasOriginal, translations[0]));
+      assert.equal(typeof results[2].report.confidence, 'number');
+    });
+    
+    it('should report errors per fragment', function() {
+      const rm = new ReMarkup({ strict: true });
+      const results = rm.reMarkupBatch(bananasOriginal,
+        [translations[0], '<span><script>x</script></span>', translations[1]]);
+      
+      assert.ok(results[0].html);
+      assert.ok(results[1].error instanceof ReMarkup.ValidationError);
+      assert.ok(results[2].html);
+    });
+    
+    it('should throw without a list of fragments', function() {
+      assert.throws(() => new ReMarkup().reMarkupBatch(bananasOriginal, translations[0]), TypeError);
+    });
+    
+    it('should re-mark in worker threads in input order', function(done) {
+      this.timeout(20000);
+      
+      const rm = new ReMarkup({ strict: true });
+      const modified = translations.concat('<span><script>x</script></span>');
+      
+      rm.reMarkupParallel(bananasOriginal, modified, { workers: 2 }, (error, results) => {
+        assert.ifError(error);
+        assert.deepEqual(results.slice(0, 3), rm.reMarkupBatch(bananasOriginal, translations));
+        assert.ok(results[3].error instanceof ReMarkup.ValidationError);
+        assert.ok(results[3].error.violations.length > 0);
+        done();
+      });
+    });
+    
+    it('should re-mark in this thread without workers', function(done) {
+      const rm = new ReMarkup();
+      const list = translations.map(t => ({ original: bananasOriginal, modified: t }));
+      
+      rm.reMarkupParallel(list, { workers: 0 }, (error, results) => {
+        assert.ifError(error);
+        assert.deepEqual(results, rm.reMarkupBatch(list));
+        done();
+      });
+    });
+    
+    it('should fail the fragments of workers that exit', function(done) {
+      this.timeout(20000);
+      
+      // a worker script that exits on some fragments, instead of re-marking them
+      const script = path.join(os.tmpdir(), 'remarkup-exit-worker-' + process.pid + '.js');
+      fs.writeFileSync(script, [
+        'require("worker_threads").parentPort.on("message", message => {',
+        '  if (message.item.modified.indexOf("EXIT") !== -1) process.exit(3);',
+        '});',
+        'require(' + JSON.stringify(batch.workerScript) + ');'
+      ].join('\n'));
+      
+      const workerScript = batch.workerScript;
+      batch.workerScript = script;
+      
+      const rm = new ReMarkup();
+      const modified = [translations[0], '<span>EXIT</span>', translations[1], translations[2]];
+      
+      rm.reMarkupParallel(bananasOriginal, modified, { workers: 2 }, (error, results) => {
+        batch.workerScript = workerScript;
+        fs.unlinkSync(script);
+        
+        assert.ifError(error);
+        assert.equal(results.length, 4);
+        assert.ok(/exited with code 3/.test(results[1].error.message));
+        assert.deepEqual([0, 2, 3].map(i => results[i].html),
+          rm.reMarkupBatch(bananasOriginal, translations).map(result => result.html));
+        done();
+      });
+    });
+    
+    it('should fail for options that cannot be sent to workers', function(done) {
+      this.timeout(20000);
+      
+      const rm = new ReMarkup({ elementFilters: [() => {}] });
+      
+      rm.reMarkupParallel(bananasOriginal, translations, { workers: 1 }, error => {
+        assert.ok(error);
+        done();
+      });
+    });
   });
 });
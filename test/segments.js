@@ -0,0 +1,130 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+
+const ReMarkup = require('../');
+
+describe('ReMarkup', function() {
+  const page = '<!DOCTYPE html><html><head><title>Fruit</title>' +
+    '<script>var bananas = "Bananas";</script></head>' +
+    '<body class="page">' +
+    '<h1 id="heading">Bananas</h1>' +
+    '<p class="intro">Bananas are <em style="color: red">great</em>!</p>' +
+    '<ul><li>Yellow</li><li>Yellow</li></ul>' +
+    '<img src="tux.png" alt="Image of Tux">' +
+    '<div class="outer"><p>Nested</p></div>' +
+    '</body></html>';
+
+  const head = '<!DOCTYPE html>\n<!-- generated -->\n<html lang="en" dir="ltr"><head>' +
+    '<meta charset="utf-8"><title>Fruit</title>' +
+    '<meta name="description" content="All about fruit">' +
+    '<meta property="og:title" content="Fruit!"><meta property="og:locale" content="en_US">' +
+    '<meta name="viewport" content="width=device-width">' +
+    '<link rel="stylesheet" href="fruit.css"></head>' +
+    '<body><p>Bananas</p></body></html>';
+
+  describe('#extractSegments', function() {
+    it('should split documents at block-level elements', function() {
+      const rm = new ReMarkup();
+
+      const sources = rm.extractSegments(page).map(segment => segment.source);
+      assert.deepEqual(sources, [
+        'Fruit', 'Bananas', 'Bananas are <em>great</em>!',
+        'Yellow', 'Yellow', 'Image of Tux', 'Nested'
+      ]);
+    });
+
+    it('should extract translatable attributes', function() {
+      const rm = new ReMarkup();
+
+      const segments = rm.extractSegments(page).filter(segment => segment.type === 'attribute');
+      assert.equal(segments.length, 1);
+      assert.equal(segments[0].attribute, 'alt');
+    });
+
+    it('should assign stable and unique IDs', function() {
+      const rm = new ReMarkup();
+
+      const ids = rm.extractSegments(page).map(segment => segment.id);
+      const changedIds = rm.extractSegments(page.replace('Nested', 'Changed')).map(segment => segment.id);
+
+      assert.equal(ids.filter((id, i) => ids.indexOf(id) === i).length, ids.length);
+      assert.deepEqual(ids.slice(0, -1), changedIds.slice(0, -1));
+      assert.notEqual(ids[ids.length - 1], changedIds[changedIds.length - 1]);
+    });
+
+    it('should derive IDs from the SHA-1 of the content', function() {
+      const rm = new ReMarkup();
+
+      const sha1 = string => crypto.createHash('sha1').update(string).digest('hex');
+      const segments = rm.extractSegments('<div><p>Gelb</p><img src="b.png" alt="Bananen 🍌"></div>');
+      assert.equal(segments[1].id, 's' + sha1('attribute\0alt\0Bananen 🍌').slice(0, 10));
+    });
+
+    it('should extract translatable <meta> content as separate units', function() {
+      const rm = new ReMarkup();
+
+      const segments = rm.extractSegments(head);
+      assert.deepEqual(segments.map(segment => [segment.type, segment.attribute, segment.source]), [
+        ['element', undefined, 'Fruit'],
+        ['attribute', 'content', 'All about fruit'],
+        ['attribute', 'content', 'Fruit!'],
+        ['element', undefined, 'Bananas']
+      ]);
+    });
+
+    it('should treat fragments without block elements as a single segment', function() {
+      const rm = new ReMarkup();
+
+      const segments = rm.extractSegments('<span class="a">Bananas</span> are great!');
+      assert.equal(segments.length, 1);
+      assert.equal(segments[0].source, '<span>Bananas</span> are great!');
+    });
+  });
+
+  describe('#reassembleSegments', function() {
+    it('should rebuild documents from translated segments', function() {
+      const rm = new ReMarkup();
+
+      const translations = {};
+      rm.extractSegments(page).forEach(segment => {
+        translations[segment.id] = segment.source
+          .replace('Bananas are <em>great</em>!', 'Bananen sind <em>toll</em>!')
+          .replace('Image of Tux', 'Bild von Tux');
+      });
+
+      const translated = rm.reassembleSegments(page, translations);
+      assert.ok(translated.match(/^<!DOCTYPE html>/));
+      assert.ok(translated.match(/<p class="intro">Bananen sind <em style="color: red">toll<\/em>!<\/p>/));
+      assert.ok(translated.match(/alt="Bild von Tux"/));
+      assert.notEqual(translated.indexOf('<script>var bananas = "Bananas";</script>'), -1);
+      assert.notEqual(translated.indexOf('<div class="outer"><p>Nested</p></div>'), -1);
+    });
+
+    it('should set the language and text direction', function() {
+      const rm = new ReMarkup();
+
+      const translations = {};
+      rm.extractSegments(head).forEach(segment => {
+        translations[segment.id] = segment.source === 'All about fruit' ? 'كل شيء عن الفاكهة' : segment.source;
+      });
+
+      const translated = rm.reassembleSegments(head, translations, { lang: 'ar' });
+      assert.ok(translated.match(/^<!DOCTYPE html>\n<!-- generated -->\n<html lang="ar" dir="rtl">/));
+      assert.ok(translated.match(/<meta property="og:locale" content="ar">/));
+      assert.ok(translated.match(/<meta name="description" content="&#x643;/));
+      assert.notEqual(translated.indexOf('<meta name="viewport" content="width=device-width">' +
+        '<link rel="stylesheet" href="fruit.css">'), -1);
+
+      assert.ok(rm.reassembleSegments(head, {}, { lang: 'de-AT' }).match(/<html lang="de-AT" dir="ltr">/));
+    });
+
+    it('should leave segments without translations untouched', function() {
+      const rm = new ReMarkup();
+
+      const translated = rm.reassembleSegments(page, {});
+      assert.equal(translated, page);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const assert = require('assert');
+
+const ReMarkup = require('../');
+
+describe('ReMarkup', function() {
+  const bananasOriginal = '<span ng-show="true"><span>Bananas</span> are ' +
+    '<em id="emphasized" style="background-color: red">great</em>!' +
+    '</span>';
+
+  const imageOriginal = '<a href="#" title="This instructs you to click on the image">' +
+    'Please click on this image: <img src="tux.png" alt="Image of Tux, a Penguin"></a>';
+
+  // add a <target> to the unit with the given ID
+  const translate = (xliff, id, target) => {
+    return xliff.replace(new RegExp('(<unit id="' + id + '">[^]*?</source>)'),
+      '$1<target>' + target + '</target>');
+  };
+
+  describe('#exportXLIFF', function() {
+    it('should create an XLIFF 2.0 document', function() {
+      const rm = new ReMarkup();
+
+      const xliff = rm.exportXLIFF([bananasOriginal], { trgLang: 'de' });
+      assert.ok(xliff.match(/<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="de">/));
+      assert.ok(xliff.match(/<unit id="u1">/));
+    });
+
+    it('should represent elements as inline codes', function() {
+      const rm = new ReMarkup();
+
+      const xliff = rm.exportXLIFF({ image: imageOriginal });
+      assert.ok(xliff.match(/<source><pc id="1" dataRefStart="d1" dataRefEnd="d2">Please click on this image: <ph id="2" dataRef="d3"\/><\/pc><\/source>/));
+    });
+
+    it('should store the original attributes in <originalData>', function() {
+      const rm = new ReMarkup();
+
+      const xliff = rm.exportXLIFF({ bananas: bananasOriginal });
+      assert.notEqual(xliff.indexOf('<data id="d1">&lt;span ng-show=&quot;true&quot;&gt;</data>'), -1);
+      assert.notEqual(xliff.indexOf('style=&quot;background-color: red&quot;'), -1);
+      assert.equal(xliff.indexOf('<source>Bananas'), -1);
+    });
+  });
+
+  describe('#importXLIFF', function() {
+    it('should round-trip nested inline markup', function() {
+      const rm = new ReMarkup();
+
+      const fragments = { bananas: bananasOriginal };
+      const xliff = translate(rm.exportXLIFF(fragments), 'bananas',
+        '<pc id="1" dataRefStart="d1" dataRefEnd="d2">' +
+        '<pc id="3" dataRefStart="d5" dataRefEnd="d6">Toll</pc> sind ' +
+        '<pc id="2" dataRefStart="d3" dataRefEnd="d4">Bananen</pc>!</pc>');
+
+      const result = rm.importXLIFF(fragments, xliff);
+      assert.deepEqual(Object.keys(result), ['bananas']);
+      assert.ok(result.bananas.match(/^<span ng-show="true">/));
+      assert.ok(result.bananas.match(/<em[^>]+background-color[^>]+>Toll<\/em>/));
+      assert.ok(result.bananas.match(/<span>Bananen<\/span>/));
+    });
+
+    it('should round-trip void elements', function() {
+      const rm = new ReMarkup();
+
+      const fragments = { image: imageOriginal };
+      const xliff = translate(rm.exportXLIFF(fragments), 'image',
+        '<pc id="1" dataRefStart="d1" dataRefEnd="d2">Bitte klicke auf &lt;dieses&gt; Bild: ' +
+        '<ph id="2" dataRef="d3"/></pc>');
+
+      const result = rm.importXLIFF(fragments, xliff);
+      assert.ok(result.image.match(/^<a [^>]+>Bitte klicke auf &lt;dieses&gt; Bild: <img [^>]+><\/a>$/));
+      assert.ok(result.image.match(/<a [^>]*href="#"/));
+      assert.ok(result.image.match(/<img [^>]*src="tux.png"/));
+    });
+
+    it('should round-trip interpolation placeholders', function() {
+      const rm = new ReMarkup({ preset: 'vue' });
+
+      const fragments = { greeting: '<p>Hello {{ user.name && user.first }}!</p>' };
+      const xliff = rm.exportXLIFF(fragments);
+      assert.ok(xliff.match(/<ph id="ph1" dataRef="d3"\/>/));
+      assert.ok(xliff.match(/<data id="d3">\{\{ user.name &amp;&amp; user.first \}\}<\/data>/));
+
+      const result = rm.importXLIFF(fragments, translate(xliff, 'greeting',
+        '<pc id="1" dataRefStart="d1" dataRefEnd="d2">Hallo <ph id="ph1" dataRef="d3"/>!</pc>'));
+      assert.equal(result.greeting, '<p>Hallo {{ user.name && user.first }}!</p>');
+    });
+
+    it('should leave out units without translations', function() {
+      const rm = new ReMarkup();
+
+      const fragments = [bananasOriginal, imageOriginal];
+      const xliff = translate(rm.exportXLIFF(fragments), 'u2',
+        '<pc id="1" dataRefStart="d1" dataRefEnd="d2"><ph id="2" dataRef="d3"/></pc>');
+
+      const result = rm.importXLIFF(fragments, xliff);
+      assert.deepEqual(Object.keys(result), ['u2']);
+    });
+
+    it('should ignore modified original data', function() {
+      const rm = new ReMarkup();
+
+      const fragments = { image: imageOriginal };
+      const xliff = translate(rm.exportXLIFF(fragments), 'image',
+        '<pc id="1" dataRefStart="d1" dataRefEnd="d2">Bitte klicke auf dieses Bild: ' +
+        '<ph id="2" dataRef="d3"/></pc>')
+        .replace('<data id="d1">&lt;a ', '<data id="d1">&lt;a onclick=&quot;steal()&quot; ')
+        .replace('<data id="d3">', '<data id="d3">&lt;script&gt;steal()&lt;/script&gt;');
+
+      const result = rm.importXLIFF(fragments, xliff);
+      assert.equal(result.image.indexOf('steal'), -1);
+      assert.ok(result.image.match(/^<a [^>]+>Bitte klicke auf dieses Bild: <img [^>]+><\/a>$/));
+    });
+
+    it('should reject units that are not among the originals', function() {
+      const rm = new ReMarkup();
+
+      const xliff = translate(rm.exportXLIFF({ other: imageOriginal }), 'other',
+        '<pc id="1" dataRefStart="d1" dataRefEnd="d2">Bild</pc>');
+
+      assert.throws(() => rm.importXLIFF({ image: imageOriginal }, xliff), /Unknown XLIFF unit: other/);
+    });
+  });
+});